@@ -1,6 +1,134 @@
 // Constants and configuration
-const STORAGE_VERSION = 1;
+const STORAGE_VERSION = 5;
+const DB_NAME = 'mindfulMoments';
+const DB_VERSION = 5;
+const LEGACY_STORAGE_KEY = 'mindfulMomentsData';
+const PBKDF2_ITERATIONS = 600000;
+const VAULT_VERIFIER = 'mindful-moments';
+const AUTO_LOCK_DELAY = 5 * 60 * 1000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const REMINDER_CHECK_INTERVAL = 30 * 1000;
+const DEFAULT_REMINDER_SETTINGS = {
+  checkIn: { enabled: false, time: '20:00' },
+  quietHours: { enabled: true, start: '22:00', end: '07:00' },
+  snoozeMinutes: 10
+};
 const DEBOUNCE_DELAY = 300;
+const ANNOUNCE_DELAY = 100;
+const UNDO_LIMIT = 50;
+const SNAPSHOT_DAILY_KEEP = 7;
+const SNAPSHOT_WEEKLY_KEEP = 4;
+const SNAPSHOT_SAFETY_KEEP = 3;
+const SNAPSHOT_FALLBACK_KEEP = 2;
+const SNAPSHOT_BASE_VERSION = 3;
+const HEATMAP_WEEKS = 12;
+const HEATMAP_YEAR_WEEKS = 53;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TREND_MAX_POINTS = 30;
+const CALENDAR_MAX_DOTS = 6;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TAB_SYNC_CHANNEL = 'mindful-moments-sync';
+const DEFAULT_SYNC_SETTINGS = { enabled: false, adapter: 'rest', url: '', token: '' };
+const SYNC_DELAY = 2000;
+const SYNC_INTERVAL = 5 * 60 * 1000;
+const SYNC_LOCK = 'mindful-moments-server-sync';
+// Optional 1-10 ratings an entry can carry alongside its mood
+const CHECK_IN_SCALES = [
+  { key: 'energy', label: 'Energy' },
+  { key: 'anxiety', label: 'Anxiety' },
+  { key: 'stress', label: 'Stress' }
+];
+// Log filter presets for the check-in fields, keyed by the value stored in the URL hash
+const METRIC_FILTERS = {
+  'energy-high': { label: 'High energy (7+)', field: 'energy', min: 7 },
+  'energy-low': { label: 'Low energy (4 or less)', field: 'energy', max: 4 },
+  'anxiety-high': { label: 'High anxiety (7+)', field: 'anxiety', min: 7 },
+  'stress-high': { label: 'High stress (7+)', field: 'stress', min: 7 },
+  'sleep-short': { label: 'Slept under 6h', field: 'sleepHours', max: 5.99 },
+  'sleep-long': { label: 'Slept 8h or more', field: 'sleepHours', min: 8 }
+};
+const MAX_TAGS = 20;
+// Suggested when categorising a habit; any other name works too
+const HABIT_CATEGORIES = ['Mind', 'Body', 'Social'];
+// Icons a habit can show next to its name (Font Awesome solid icons)
+const HABIT_ICONS = {
+  'fa-check': 'Check',
+  'fa-spa': 'Meditation',
+  'fa-person-running': 'Running',
+  'fa-dumbbell': 'Workout',
+  'fa-book': 'Reading',
+  'fa-pen': 'Writing',
+  'fa-droplet': 'Water',
+  'fa-bed': 'Sleep',
+  'fa-apple-whole': 'Food',
+  'fa-users': 'People',
+  'fa-sun': 'Outdoors',
+  'fa-heart': 'Self-care'
+};
+const DEFAULT_HABIT_COLOR = '#6366f1';
+// How a habit is tracked each day: a yes/no check, or an amount logged against a daily goal
+const HABIT_KINDS = {
+  check: { label: 'Yes / no' },
+  count: { label: 'Count', step: 1 },
+  duration: { label: 'Duration', step: 5, unit: 'min' }
+};
+const MAX_HABIT_GOAL = 100000;
+const TIMER_TICK = 1000;
+const DRAFT_SAVE_DELAY = 800;
+const MAX_ATTACHMENTS = 6;
+const ATTACHMENT_MAX_SIZE = 1600;
+const THUMBNAIL_SIZE = 240;
+// Guided prompts rotate daily; "Use this prompt" adds the template to the journal as Markdown
+const JOURNAL_PROMPTS = [
+  {
+    label: 'Thought record',
+    text: 'Pick a moment that upset you today and put the thought behind it to the test.',
+    template: '**Situation:** \n**Automatic thought:** \n**Feeling (0-100%):** \n**Evidence for:** \n**Evidence against:** \n**Balanced thought:** \n'
+  },
+  {
+    label: 'Gratitude list',
+    text: 'List three things you are grateful for today, however small.',
+    template: "Three things I'm grateful for:\n\n1. \n2. \n3. \n"
+  },
+  {
+    label: 'Energy check',
+    text: 'What gave you energy today, and what drained it?',
+    template: '**Gave me energy:** \n**Drained me:** \n'
+  },
+  {
+    label: 'Worry check',
+    text: 'Write down a worry, how likely it really is, and what you would do if it happened.',
+    template: '**Worry:** \n**How likely (0-100%):** \n**If it happened, I would:** \n'
+  },
+  {
+    label: 'Gratitude',
+    text: 'Who made your day a little better, and how?',
+    template: '**Who:** \n**What they did:** \n**How it felt:** \n'
+  },
+  {
+    label: 'Self-compassion',
+    text: 'Is there a thought you keep coming back to? What would you tell a friend who had it?',
+    template: '**The thought:** \n**What I would tell a friend:** \n'
+  }
+];
+const REVIEW_TOP_WORDS = 10;
+// Left out of the "most used words" list in reviews
+const STOP_WORDS = new Set(('the and but for nor yet not are was were been being have has had having does did doing '
+  + 'this that these those then than there their them they you your yours our ours she her hers him his its '
+  + 'with without into onto from about above below over under again further once here when where why how all any '
+  + 'both each few more most other some such only own same too very can will just should would could might must '
+  + 'what which who whom because while until after before also really today got get gets going went much many still even '
+  + "i'm i've i'd i'll it's don't didn't can't won't isn't wasn't that's there's").split(' '));
+// Ids match the mood names entries were saved with before moods became editable
+const DEFAULT_MOODS = [
+  { id: 'Happy', label: 'Happy', emoji: '😊', score: 5, color: '#4caf50', order: 0 },
+  { id: 'Neutral', label: 'Neutral', emoji: '😐', score: 4, color: '#9e9e9e', order: 1 },
+  { id: 'Sad', label: 'Sad', emoji: '😢', score: 1, color: '#5c6bc0', order: 2 },
+  { id: 'Stressed', label: 'Stressed', emoji: '😰', score: 3, color: '#ff9800', order: 3 },
+  { id: 'Anxious', label: 'Anxious', emoji: '😥', score: 2, color: '#ab47bc', order: 4 },
+  { id: 'Excited', label: 'Excited', emoji: '🤩', score: 7, color: '#ffc107', order: 5 },
+  { id: 'Grateful', label: 'Grateful', emoji: '🙏', score: 6, color: '#26a69a', order: 6 }
+];
 
 // Simple UUID generator for unique IDs
 function generateId() {
@@ -19,11 +147,51 @@ const elements = {
   log: document.getElementById('log'),
   clearDataBtn: document.getElementById('clearDataBtn'),
   exportBtn: document.getElementById('exportBtn'),
+  installBtn: document.getElementById('installBtn'),
+  remindersBtn: document.getElementById('remindersBtn'),
+  remindersDialog: document.getElementById('remindersDialog'),
+  remindersForm: document.getElementById('remindersForm'),
+  notificationStatus: document.getElementById('notificationStatus'),
+  enableNotificationsBtn: document.getElementById('enableNotificationsBtn'),
+  checkInEnabled: document.getElementById('checkInEnabled'),
+  checkInTime: document.getElementById('checkInTime'),
+  quietHoursEnabled: document.getElementById('quietHoursEnabled'),
+  quietStart: document.getElementById('quietStart'),
+  quietEnd: document.getElementById('quietEnd'),
+  snoozeMinutes: document.getElementById('snoozeMinutes'),
+  habitReminderList: document.getElementById('habitReminderList'),
+  remindersCancel: document.getElementById('remindersCancel'),
+  syncBtn: document.getElementById('syncBtn'),
+  syncDialog: document.getElementById('syncDialog'),
+  syncForm: document.getElementById('syncForm'),
+  syncEnabled: document.getElementById('syncEnabled'),
+  syncUrl: document.getElementById('syncUrl'),
+  syncToken: document.getElementById('syncToken'),
+  syncStatus: document.getElementById('syncStatus'),
+  syncError: document.getElementById('sync-error'),
+  syncNowBtn: document.getElementById('syncNowBtn'),
+  syncCancel: document.getElementById('syncCancel'),
   importBtn: document.getElementById('importBtn'),
   importFile: document.getElementById('importFile'),
   habitFilter: document.getElementById('habitFilter'),
+  habitCategoryOptions: document.getElementById('habitCategoryOptions'),
   moodFilter: document.getElementById('moodFilter'),
   sortOrder: document.getElementById('sortOrder'),
+  logSearch: document.getElementById('logSearch'),
+  dateFrom: document.getElementById('dateFrom'),
+  dateTo: document.getElementById('dateTo'),
+  clearLogFilters: document.getElementById('clearLogFilters'),
+  logSearchBar: document.getElementById('logSearchBar'),
+  logControls: document.getElementById('logControls'),
+  listViewBtn: document.getElementById('listViewBtn'),
+  calendarViewBtn: document.getElementById('calendarViewBtn'),
+  logCalendar: document.getElementById('logCalendar'),
+  calendarTitle: document.getElementById('calendarTitle'),
+  calendarPrev: document.getElementById('calendarPrev'),
+  calendarNext: document.getElementById('calendarNext'),
+  calendarToday: document.getElementById('calendarToday'),
+  calendarGrid: document.getElementById('calendarGrid'),
+  calendarDay: document.getElementById('calendarDay'),
   totalEntries: document.getElementById('totalEntries'),
   currentStreak: document.getElementById('currentStreak'),
   completionRate: document.getElementById('completionRate'),
@@ -31,30 +199,153 @@ const elements = {
   submitBtn: document.getElementById('submitBtn'),
   moodSelector: document.getElementById('moodSelector'),
   moodSelect: document.getElementById('mood'),
+  habitDate: document.getElementById('habitDate'),
+  habitSchedule: document.getElementById('habitSchedule'),
+  habitWeekdays: document.getElementById('habitWeekdays'),
+  habitTarget: document.getElementById('habitTarget'),
+  habitKind: document.getElementById('habitKind'),
+  habitGoal: document.getElementById('habitGoal'),
+  habitUnit: document.getElementById('habitUnit'),
   progressRing: document.querySelector('.progress-ring-fill'),
-  currentYear: document.getElementById('currentYear')
+  currentYear: document.getElementById('currentYear'),
+  appWrapper: document.querySelector('.app-wrapper'),
+  lockBtn: document.getElementById('lockBtn'),
+  lockScreen: document.getElementById('lockScreen'),
+  unlockForm: document.getElementById('unlockForm'),
+  unlockPassphrase: document.getElementById('unlockPassphrase'),
+  unlockError: document.getElementById('unlock-error'),
+  unlockBtn: document.getElementById('unlockBtn'),
+  securityDialog: document.getElementById('securityDialog'),
+  securityStatus: document.getElementById('securityStatus'),
+  setPassphraseBtn: document.getElementById('setPassphraseBtn'),
+  lockNowBtn: document.getElementById('lockNowBtn'),
+  removePassphraseBtn: document.getElementById('removePassphraseBtn'),
+  securityCloseBtn: document.getElementById('securityCloseBtn'),
+  passphraseDialog: document.getElementById('passphraseDialog'),
+  passphraseForm: document.getElementById('passphraseForm'),
+  passphraseTitle: document.getElementById('passphrase-title'),
+  passphraseMessage: document.getElementById('passphrase-message'),
+  passphraseInput: document.getElementById('passphraseInput'),
+  passphraseConfirmGroup: document.getElementById('passphraseConfirmGroup'),
+  passphraseConfirm: document.getElementById('passphraseConfirm'),
+  passphraseError: document.getElementById('passphrase-error'),
+  passphraseCancel: document.getElementById('passphraseCancel'),
+  exportDialog: document.getElementById('exportDialog'),
+  exportForm: document.getElementById('exportForm'),
+  exportFrom: document.getElementById('exportFrom'),
+  exportTo: document.getElementById('exportTo'),
+  exportCancel: document.getElementById('exportCancel'),
+  printReport: document.getElementById('printReport'),
+  importDialog: document.getElementById('importDialog'),
+  importForm: document.getElementById('importForm'),
+  importSummary: document.getElementById('importSummary'),
+  importCancel: document.getElementById('importCancel'),
+  trendGranularity: document.getElementById('trendGranularity'),
+  moodTrendChart: document.getElementById('moodTrendChart'),
+  moodDistribution: document.getElementById('moodDistribution'),
+  moodCorrelation: document.getElementById('moodCorrelation'),
+  moodsBtn: document.getElementById('moodsBtn'),
+  moodsDialog: document.getElementById('moodsDialog'),
+  moodsForm: document.getElementById('moodsForm'),
+  moodList: document.getElementById('moodList'),
+  addMoodBtn: document.getElementById('addMoodBtn'),
+  moodsError: document.getElementById('moods-error'),
+  moodsCancel: document.getElementById('moodsCancel'),
+  backupsBtn: document.getElementById('backupsBtn'),
+  backupsDialog: document.getElementById('backupsDialog'),
+  snapshotList: document.getElementById('snapshotList'),
+  backupsCloseBtn: document.getElementById('backupsCloseBtn'),
+  checkInDetails: document.getElementById('checkInDetails'),
+  sleepHours: document.getElementById('sleepHours'),
+  tagInput: document.getElementById('tagInput'),
+  tagList: document.getElementById('tagList'),
+  tagSuggestions: document.getElementById('tagSuggestions'),
+  tagFilter: document.getElementById('tagFilter'),
+  metricFilter: document.getElementById('metricFilter'),
+  checkInSummary: document.getElementById('checkInSummary'),
+  journal: document.getElementById('journal'),
+  journalToolbar: document.getElementById('journalToolbar'),
+  journalPreviewBtn: document.getElementById('journalPreviewBtn'),
+  journalPreview: document.getElementById('journalPreview'),
+  journalPromptLabel: document.getElementById('journalPromptLabel'),
+  journalPromptText: document.getElementById('journalPromptText'),
+  usePromptBtn: document.getElementById('usePromptBtn'),
+  nextPromptBtn: document.getElementById('nextPromptBtn'),
+  addPhotoBtn: document.getElementById('addPhotoBtn'),
+  photoFile: document.getElementById('photoFile'),
+  attachmentList: document.getElementById('attachmentList'),
+  imageDialog: document.getElementById('imageDialog'),
+  imageDialogImg: document.getElementById('imageDialogImg'),
+  imageDialogClose: document.getElementById('imageDialogClose'),
+  tagInsights: document.getElementById('tagInsights'),
+  reviewPeriod: document.getElementById('reviewPeriod'),
+  reviewPrev: document.getElementById('reviewPrev'),
+  reviewNext: document.getElementById('reviewNext'),
+  reviewTitle: document.getElementById('reviewTitle'),
+  reviewSummary: document.getElementById('reviewSummary'),
+  reflectionForm: document.getElementById('reflectionForm'),
+  reflectionNote: document.getElementById('reflectionNote'),
+  reflectionStatus: document.getElementById('reflectionStatus'),
+  saveReflectionBtn: document.getElementById('saveReflectionBtn'),
+  shortcutsBtn: document.getElementById('shortcutsBtn'),
+  shortcutsDialog: document.getElementById('shortcutsDialog'),
+  shortcutList: document.getElementById('shortcutList'),
+  shortcutsCloseBtn: document.getElementById('shortcutsCloseBtn'),
+  commandPalette: document.getElementById('commandPalette'),
+  commandInput: document.getElementById('commandInput'),
+  commandList: document.getElementById('commandList'),
+  politeAnnouncer: document.getElementById('politeAnnouncer'),
+  assertiveAnnouncer: document.getElementById('assertiveAnnouncer')
 };
 
 // State
 let state = {
   journalEntries: [],
   habits: [],
+  moods: [],
+  reflections: [],
   filters: {
     habitStatus: 'all',
     mood: 'all',
-    sort: 'newest'
+    tag: 'all',
+    metric: 'all',
+    sort: 'newest',
+    search: '',
+    from: '',
+    to: '',
+    trend: 'daily',
+    view: 'list'
   },
-  selectedMood: null
+  selectedMood: null,
+  draftTags: [],
+  draftAttachments: [],
+  promptIndex: 0,
+  editingEntryId: null,
+  editingHabitId: null,
+  // Day the calendar's back-dated entry form is open for
+  addingEntryDate: null,
+  calendar: { month: null, selected: null },
+  today: null,
+  selectedHabitDate: null,
+  expandedHeatmaps: new Set(),
+  // Period shown in the review; `start` is null while following the current week or month
+  review: { period: 'weekly', start: null }
 };
 
 // Utility functions
 const utils = {
+  // Unchanged text is left alone so live regions don't repeat themselves on every render
   setTextContent(element, text) {
-    if (element) element.textContent = text;
+    if (element && element.textContent !== String(text)) element.textContent = text;
   },
+  prefersReducedMotion() {
+    return Boolean(window.matchMedia) && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  },
+  // Text is stored as typed and only ever rendered as text nodes, so there is nothing to escape;
+  // this just drops control characters that can't be displayed
   sanitizeInput(input) {
     if (typeof input !== 'string') return '';
-    return input.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return input.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '');
   },
   debounce(func, wait) {
     let timeout;
@@ -76,6 +367,26 @@ const utils = {
       day: 'numeric'
     });
   },
+  // Local calendar day as YYYY-MM-DD, so day boundaries follow the user's timezone
+  toDateKey(date = new Date()) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  },
+  parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  },
+  addDays(key, days) {
+    const date = this.parseDateKey(key);
+    date.setDate(date.getDate() + days);
+    return this.toDateKey(date);
+  },
+  addMonths(key, months) {
+    const date = this.parseDateKey(key);
+    return this.toDateKey(new Date(date.getFullYear(), date.getMonth() + months, 1));
+  },
   formatTime(timestamp) {
     const date = new Date(timestamp);
     return date.toLocaleTimeString('en-US', {
@@ -83,33 +394,64 @@ const utils = {
       minute: '2-digit'
     });
   },
-  getMoodEmoji(mood) {
-    const emojis = {
-      'Happy': '😊',
-      'Neutral': '😐',
-      'Sad': '😢',
-      'Stressed': '😰',
-      'Anxious': '😥',
-      'Excited': '🤩',
-      'Grateful': '🙏'
-    };
-    return emojis[mood] || '😐';
+  // Elapsed milliseconds as m:ss, or h:mm:ss from an hour up
+  formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+  },
+  getSearchTerms(query) {
+    if (typeof query !== 'string') return [];
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+  },
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  },
+  // Builds text nodes with <mark> around search matches, never parsing the text as HTML
+  appendHighlightedText(container, text, terms = []) {
+    if (!container) return;
+    if (terms.length === 0) {
+      container.appendChild(document.createTextNode(text));
+      return;
+    }
+    const pattern = new RegExp(`(${terms.map(term => this.escapeRegExp(term)).join('|')})`, 'gi');
+    text.split(pattern).forEach((part, index) => {
+      if (!part) return;
+      if (index % 2 === 1) {
+        const mark = document.createElement('mark');
+        mark.textContent = part;
+        container.appendChild(mark);
+      } else {
+        container.appendChild(document.createTextNode(part));
+      }
+    });
+  },
+  normalizeTag(text) {
+    return String(text).trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-').slice(0, 30);
+  },
+  // Every tag used so far, most used first
+  collectTags(entries) {
+    const counts = new Map();
+    entries.forEach(entry => {
+      (entry.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a) || a.localeCompare(b));
+  },
+  matchesMetricFilter(entry, filterKey) {
+    const filter = METRIC_FILTERS[filterKey];
+    if (!filter) return true;
+    const value = entry[filter.field];
+    return typeof value === 'number'
+      && (filter.min === undefined || value >= filter.min)
+      && (filter.max === undefined || value <= filter.max);
   },
   calculateMoodAverage(entries) {
-    if (entries.length === 0) return '-';
-    const moodValues = {
-      'Sad': 1,
-      'Stressed': 2,
-      'Anxious': 3,
-      'Neutral': 4,
-      'Grateful': 5,
-      'Happy': 6,
-      'Excited': 7
-    };
-    const sum = entries.reduce((total, entry) => {
-      return total + (moodValues[entry.mood] || 4);
-    }, 0);
-    const average = sum / entries.length;
+    const scores = entries.map(entry => moodScale.getScore(entry.mood)).filter(score => score !== null);
+    if (scores.length === 0) return '-';
+    const sum = scores.reduce((total, score) => total + score, 0);
+    const average = sum / scores.length;
     return average.toFixed(1);
   },
   updateProgressRing(percentage) {
@@ -119,6 +461,32 @@ const utils = {
       elements.progressRing.style.strokeDashoffset = offset;
     }
   },
+  bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  },
+  base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  },
+  cloneRecord(record) {
+    return JSON.parse(JSON.stringify(record));
+  },
+  // Last time a record changed, used to decide which copy wins when merging
+  getRecordTime(record) {
+    return record.updatedAt || record.createdAt || record.timestamp || 0;
+  },
+  downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  },
   setCurrentYear() {
     if (elements.currentYear) {
       elements.currentYear.textContent = new Date().getFullYear();
@@ -127,294 +495,4627 @@ const utils = {
 };
 
 // Storage module
+// Schema migrations: each entry upgrades `{ journalEntries, habits, moods, reflections }` from version N to N + 1
+const migrations = {
+  // v1 -> v2: habits gained a per-day completion log and a schedule
+  1: data => ({
+    ...data,
+    habits: (data.habits || []).map(habit => habitLog.normalize(habit))
+  }),
+  // v2 -> v3: moods became user-editable records; entries keep referencing them by id
+  2: data => ({
+    ...data,
+    moods: data.moods.length > 0 ? data.moods : DEFAULT_MOODS.map(mood => ({ ...mood }))
+  }),
+  // v3 -> v4: text used to be saved HTML-escaped, which showed up literally; it is plain text now
+  3: data => {
+    const unescape = text => (typeof text === 'string' ? text.replace(/&lt;/g, '<').replace(/&gt;/g, '>') : text);
+    return {
+      ...data,
+      journalEntries: data.journalEntries.map(entry => ({
+        ...entry,
+        journal: unescape(entry.journal),
+        ...(Array.isArray(entry.history) && {
+          history: entry.history.map(version => ({ ...version, journal: unescape(version.journal) }))
+        })
+      })),
+      habits: data.habits.map(habit => {
+        const migrated = { ...habit, text: unescape(habit.text) };
+        if (habit.category) migrated.category = unescape(habit.category);
+        if (habit.unit) migrated.unit = unescape(habit.unit);
+        return migrated;
+      })
+    };
+  },
+  // v4 -> v5: reflection notes written for a week or month became records of their own. Snapshots
+  // saved without a version are migrated from v3 although they may already hold some, so keep those.
+  4: data => ({ ...data, reflections: data.reflections || [] })
+};
+
 const storage = {
-  getData() {
-    const rawData = localStorage.getItem('mindfulMomentsData');
-    if (!rawData) return null;
+  db: null,
+  backend: 'localStorage',
+  activeWrites: 0,
+  writeGeneration: 0,
+  async init() {
+    if (!window.indexedDB) {
+      console.warn('IndexedDB unavailable, falling back to localStorage');
+      return;
+    }
+    try {
+      this.db = await this.openDatabase();
+      this.backend = 'indexedDB';
+      // A tab running a newer version wants to upgrade the database; step aside instead of blocking it
+      this.db.onversionchange = () => {
+        this.db.close();
+        ui.showNotification('Mindful Moments was updated in another tab. Reload this page to continue.', 'warning', 60000, {
+          label: 'Reload',
+          onClick: () => window.location.reload()
+        });
+      };
+    } catch (error) {
+      console.error('Error opening IndexedDB, falling back to localStorage:', error);
+      this.db = null;
+      this.backend = 'localStorage';
+    }
+  },
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      let blocked = false;
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('journalEntries')) {
+          db.createObjectStore('journalEntries', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('habits')) {
+          db.createObjectStore('habits', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('moods')) {
+          db.createObjectStore('moods', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('reflections')) {
+          db.createObjectStore('reflections', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('snapshots')) {
+          db.createObjectStore('snapshots', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('attachments')) {
+          db.createObjectStore('attachments', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('meta')) {
+          db.createObjectStore('meta', { keyPath: 'key' });
+        }
+      };
+      request.onsuccess = () => {
+        if (blocked) ui.showNotification('Update finished.', 'success', 3000);
+        resolve(request.result);
+      };
+      request.onerror = () => reject(request.error);
+      // A tab still running an older version holds the database open. The upgrade carries on as soon as
+      // that tab closes it, so wait rather than fall back to localStorage.
+      request.onblocked = () => {
+        blocked = true;
+        ui.showNotification('Close other Mindful Moments tabs to finish updating.', 'warning', 60000);
+      };
+    });
+  },
+  // Runs `work(stores)` inside one transaction and resolves once it has committed
+  transaction(storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeNames, mode);
+      const stores = {};
+      storeNames.forEach(name => { stores[name] = tx.objectStore(name); });
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      result = work(stores);
+    });
+  },
+  requestResult(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+  async getMeta(key) {
+    if (!this.db) {
+      const raw = localStorage.getItem(`${LEGACY_STORAGE_KEY}.${key}`);
+      return raw ? JSON.parse(raw) : null;
+    }
+    const record = await this.transaction(['meta'], 'readonly', ({ meta }) => this.requestResult(meta.get(key)));
+    return record ? record.value : null;
+  },
+  // Wraps every write so other tabs hear about it and `tabSync` can tell when a write is in flight.
+  // `change` names what was written: `{ stores }` for records or `{ meta }` for a meta key.
+  async tracked(work, change) {
+    this.activeWrites++;
+    this.writeGeneration++;
     try {
-      const data = JSON.parse(rawData);
-      if (data.version === STORAGE_VERSION) {
-        return data;
+      return await work();
+    } finally {
+      this.activeWrites--;
+      tabSync.afterWrite(change);
+    }
+  },
+  setMeta(key, value) {
+    return this.tracked(async () => {
+      if (!this.db) {
+        localStorage.setItem(`${LEGACY_STORAGE_KEY}.${key}`, JSON.stringify(value));
+        return;
       }
-      return null;
+      await this.transaction(['meta'], 'readwrite', ({ meta }) => {
+        meta.put({ key, value });
+      });
+    }, { meta: key });
+  },
+  deleteMeta(key) {
+    return this.tracked(async () => {
+      if (!this.db) {
+        localStorage.removeItem(`${LEGACY_STORAGE_KEY}.${key}`);
+        return;
+      }
+      await this.transaction(['meta'], 'readwrite', ({ meta }) => {
+        meta.delete(key);
+      });
+    }, { meta: key });
+  },
+  migrate(data, fromVersion) {
+    let migrated = {
+      journalEntries: Array.isArray(data.journalEntries) ? data.journalEntries : [],
+      habits: Array.isArray(data.habits) ? data.habits : [],
+      moods: Array.isArray(data.moods) ? data.moods : [],
+      reflections: Array.isArray(data.reflections) ? data.reflections : []
+    };
+    for (let version = fromVersion; version < STORAGE_VERSION; version++) {
+      if (migrations[version]) migrated = migrations[version](migrated);
+    }
+    return migrated;
+  },
+  // Brings IndexedDB up to STORAGE_VERSION, importing the old localStorage blob on first run.
+  // Runs after unlocking, since encrypted records can only be migrated once decrypted.
+  async upgradeData() {
+    if (!this.db) return;
+    const version = await this.getMeta('schemaVersion');
+    if (version === null) {
+      const data = this.readLegacyBlob()
+        ? await this.readLegacyData()
+        : this.migrate({}, STORAGE_VERSION - 1);
+      await this.writeAll(data);
+      // Once the data is in IndexedDB, a copy left in localStorage would outlive deletes, clearing and encryption
+      localStorage.removeItem(LEGACY_STORAGE_KEY);
+    } else if (version > STORAGE_VERSION) {
+      console.warn(`Stored data is schema v${version}, newer than this app (v${STORAGE_VERSION})`);
+    } else if (version < STORAGE_VERSION) {
+      await this.writeAll(this.migrate(await this.loadAll(), version));
+    }
+    // Earlier versions kept the old blob aside under this key after importing it
+    localStorage.removeItem(`${LEGACY_STORAGE_KEY}.migrated`);
+  },
+  readLegacyBlob() {
+    const rawData = localStorage.getItem(LEGACY_STORAGE_KEY);
+    if (!rawData) return null;
+    try {
+      const blob = JSON.parse(rawData);
+      if (!blob || typeof blob.version !== 'number' || !blob.data) return null;
+      return blob;
     } catch (error) {
       console.error('Error parsing stored data:', error);
       return null;
     }
   },
-  setData(data) {
+  async readLegacyData() {
+    const blob = this.readLegacyBlob();
+    if (!blob) return this.migrate({}, STORAGE_VERSION - 1);
+    const data = {
+      journalEntries: await vault.openAll(blob.data.journalEntries),
+      habits: await vault.openAll(blob.data.habits),
+      moods: await vault.openAll(blob.data.moods),
+      reflections: await vault.openAll(blob.data.reflections)
+    };
+    if (blob.version > STORAGE_VERSION) {
+      console.warn(`Stored data is schema v${blob.version}, newer than this app (v${STORAGE_VERSION})`);
+      return this.migrate(data, STORAGE_VERSION);
+    }
+    return this.migrate(data, blob.version);
+  },
+  async writeLegacyData(data) {
     const versionedData = {
       version: STORAGE_VERSION,
       timestamp: Date.now(),
-      data: data
+      data: {
+        journalEntries: await vault.sealAll(data.journalEntries),
+        habits: await vault.sealAll(data.habits),
+        moods: await vault.sealAll(data.moods),
+        reflections: await vault.sealAll(data.reflections)
+      }
     };
-    try {
-      localStorage.setItem('mindfulMomentsData', JSON.stringify(versionedData));
-      return true;
-    } catch (error) {
-      console.error('Error saving data:', error);
-      return false;
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify(versionedData));
+  },
+  async loadAll() {
+    if (!this.db) return this.readLegacyData();
+    const raw = await this.transaction(['journalEntries', 'habits', 'moods', 'reflections'], 'readonly', async ({ journalEntries, habits, moods, reflections }) => {
+      const [entries, habitList, moodList, reflectionList] = await Promise.all([
+        this.requestResult(journalEntries.getAll()),
+        this.requestResult(habits.getAll()),
+        this.requestResult(moods.getAll()),
+        this.requestResult(reflections.getAll())
+      ]);
+      return { journalEntries: entries, habits: habitList, moods: moodList, reflections: reflectionList };
+    });
+    return {
+      journalEntries: await vault.openAll(raw.journalEntries),
+      habits: await vault.openAll(raw.habits),
+      moods: await vault.openAll(raw.moods),
+      reflections: await vault.openAll(raw.reflections)
+    };
+  },
+  // Every write below also queues its records for `sync`; changes pulled from the server pass `fromSync`
+  async writeAll(data) {
+    const before = await sync.readCurrent();
+    await this.tracked(async () => {
+      if (!this.db) {
+        await this.writeLegacyData(data);
+        return;
+      }
+      // Encrypt before opening the transaction: IndexedDB commits as soon as it sits idle
+      const sealedEntries = await vault.sealAll(data.journalEntries);
+      const sealedHabits = await vault.sealAll(data.habits);
+      const sealedMoods = await vault.sealAll(data.moods);
+      const sealedReflections = await vault.sealAll(data.reflections);
+      const storeNames = ['journalEntries', 'habits', 'moods', 'reflections', 'meta'];
+      await this.transaction(storeNames, 'readwrite', ({ journalEntries, habits, moods, reflections, meta }) => {
+        journalEntries.clear();
+        habits.clear();
+        moods.clear();
+        reflections.clear();
+        sealedEntries.forEach(entry => journalEntries.put(entry));
+        sealedHabits.forEach(habit => habits.put(habit));
+        sealedMoods.forEach(mood => moods.put(mood));
+        sealedReflections.forEach(reflection => reflections.put(reflection));
+        meta.put({ key: 'schemaVersion', value: STORAGE_VERSION });
+      });
+    }, { stores: commandHistory.stores });
+    if (before) await sync.enqueue(commandHistory.diff(before, data));
+  },
+  async putRecord(storeName, record, { fromSync = false } = {}) {
+    await this.tracked(async () => {
+      if (!this.db) {
+        const data = await this.readLegacyData();
+        const index = data[storeName].findIndex(item => item.id === record.id);
+        if (index === -1) {
+          data[storeName].push(record);
+        } else {
+          data[storeName][index] = record;
+        }
+        await this.writeLegacyData(data);
+        return;
+      }
+      const sealed = await vault.seal(record);
+      await this.transaction([storeName], 'readwrite', stores => {
+        stores[storeName].put(sealed);
+      });
+    }, { stores: [storeName] });
+    if (!fromSync) await sync.enqueue([{ store: storeName, id: record.id }]);
+  },
+  async deleteRecord(storeName, id, { fromSync = false } = {}) {
+    await this.tracked(async () => {
+      if (!this.db) {
+        const data = await this.readLegacyData();
+        data[storeName] = data[storeName].filter(item => item.id !== id);
+        await this.writeLegacyData(data);
+        return;
+      }
+      await this.transaction([storeName], 'readwrite', stores => {
+        stores[storeName].delete(id);
+      });
+    }, { stores: [storeName] });
+    if (!fromSync) await sync.enqueue([{ store: storeName, id }]);
+  },
+  saveJournalEntry(entry) {
+    return this.putRecord('journalEntries', entry);
+  },
+  deleteJournalEntry(id) {
+    return this.deleteRecord('journalEntries', id);
+  },
+  saveHabit(habit) {
+    return this.putRecord('habits', habit);
+  },
+  deleteHabit(id) {
+    return this.deleteRecord('habits', id);
+  },
+  replaceAll(data) {
+    return this.writeAll({
+      journalEntries: data.journalEntries || [],
+      habits: data.habits || [],
+      moods: data.moods || [],
+      reflections: data.reflections || []
+    });
+  },
+  // Written out as empty lists rather than removed, so the deletions reach `sync`
+  clearAll() {
+    return this.writeAll({ journalEntries: [], habits: [], moods: [], reflections: [] });
+  },
+  // Snapshots keep their id, kind, schema version and record counts readable; the data itself is
+  // sealed like any record
+  async getSnapshots() {
+    if (!this.db) return (await this.getMeta('snapshots')) || [];
+    return this.transaction(['snapshots'], 'readonly', ({ snapshots }) => this.requestResult(snapshots.getAll()));
+  },
+  // Without IndexedDB every snapshot is a full copy in the same ~5 MB localStorage as the data itself,
+  // so only the newest few are kept, older ones dropped before the new one is written
+  async putSnapshot({ data, ...snapshot }) {
+    const record = { ...snapshot, version: STORAGE_VERSION, payload: await vault.seal({ id: snapshot.id, ...data }) };
+    if (!this.db) {
+      const list = (await this.getSnapshots())
+        .filter(item => item.id !== record.id)
+        .sort((a, b) => b.createdAt - a.createdAt)
+        .slice(0, SNAPSHOT_FALLBACK_KEEP - 1);
+      await this.setMeta('snapshots', [...list, record]);
+      return;
+    }
+    await this.transaction(['snapshots'], 'readwrite', ({ snapshots }) => {
+      snapshots.put(record);
+    });
+  },
+  async deleteSnapshots(ids) {
+    if (ids.length === 0) return;
+    if (!this.db) {
+      const list = await this.getSnapshots();
+      await this.setMeta('snapshots', list.filter(item => !ids.includes(item.id)));
+      return;
     }
+    await this.transaction(['snapshots'], 'readwrite', ({ snapshots }) => {
+      ids.forEach(id => snapshots.delete(id));
+    });
+  },
+  // Photos live in their own store, outside `writeAll`, so backups, imports and sync never carry them
+  async getAttachments() {
+    if (!this.db) return (await this.getMeta('attachments')) || [];
+    return this.transaction(['attachments'], 'readonly', ({ attachments }) => this.requestResult(attachments.getAll()));
   },
-  getJournalEntries() {
-    const stored = this.getData();
-    return stored?.data?.journalEntries || [];
+  async getAttachment(id) {
+    if (!this.db) return (await this.getAttachments()).find(item => item.id === id) || null;
+    const record = await this.transaction(['attachments'], 'readonly', ({ attachments }) => this.requestResult(attachments.get(id)));
+    return record || null;
   },
-  getHabits() {
-    const stored = this.getData();
-    return stored?.data?.habits || [];
+  async getAttachmentIds() {
+    if (!this.db) return (await this.getAttachments()).map(item => item.id);
+    return this.transaction(['attachments'], 'readonly', ({ attachments }) => this.requestResult(attachments.getAllKeys()));
   },
-  setJournalEntries(entries) {
-    const currentData = this.getData()?.data || {};
-    return this.setData({
-      ...currentData,
-      journalEntries: entries
+  // Photos would fill localStorage within a few entries, so they need IndexedDB
+  canStoreAttachments() {
+    return Boolean(this.db);
+  },
+  async putAttachment(record) {
+    if (!this.db) {
+      const list = (await this.getAttachments()).filter(item => item.id !== record.id);
+      await this.setMeta('attachments', [...list, record]);
+      return;
+    }
+    await this.transaction(['attachments'], 'readwrite', ({ attachments }) => {
+      attachments.put(record);
     });
   },
-  setHabits(habits) {
-    const currentData = this.getData()?.data || {};
-    return this.setData({
-      ...currentData,
-      habits: habits
+  async deleteAttachments(ids) {
+    if (ids.length === 0) return;
+    if (!this.db) {
+      const list = await this.getAttachments();
+      await this.setMeta('attachments', list.filter(item => !ids.includes(item.id)));
+      return;
+    }
+    await this.transaction(['attachments'], 'readwrite', ({ attachments }) => {
+      ids.forEach(id => attachments.delete(id));
     });
   },
-  clearAll() {
-    localStorage.removeItem('mindfulMomentsData');
+  // Snapshots saved before they recorded a version are migrated from the oldest schema they could hold
+  async readSnapshot(snapshot) {
+    const { id, ...data } = await vault.open(snapshot.payload);
+    return this.migrate(data, snapshot.version || SNAPSHOT_BASE_VERSION);
   },
-  exportData() {
-    const data = this.getData();
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `mindful-moments-backup-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  isQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.code === 22);
+  },
+  // With a passphrase set, backups are encrypted too and carry the salt needed to decrypt them elsewhere
+  async exportData(range = {}) {
+    await this.downloadBackup(exporter.filterRange(await this.loadAll(), range));
+  },
+  async downloadBackup(data, timestamp = Date.now()) {
+    const backup = {
+      version: STORAGE_VERSION,
+      timestamp
+    };
+    if (vault.isEnabled()) {
+      backup.encrypted = await vault.encryptBackup(data);
+    } else {
+      backup.data = data;
+    }
+    const suffix = backup.encrypted ? '-encrypted' : '';
+    utils.downloadFile(
+      JSON.stringify(backup, null, 2),
+      `mindful-moments-backup-${new Date(timestamp).toISOString().split('T')[0]}${suffix}.json`,
+      'application/json'
+    );
   },
-  importData(file) {
+  readFile(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const data = JSON.parse(e.target.result);
-          if (data.version && data.data) {
-            this.setData(data.data);
-            resolve(data.data);
-          } else {
-            reject(new Error('Invalid data format'));
-          }
-        } catch (error) {
-          reject(error);
-        }
-      };
+      reader.onload = (e) => resolve(e.target.result);
       reader.onerror = () => reject(new Error('Failed to read file'));
       reader.readAsText(file);
     });
+  },
+  // Resolves with the backup's data migrated to the current schema, or null when the user
+  // cancels the passphrase prompt. Nothing is written; see `importer` for validation and merging.
+  async readBackup(file, getPassphrase) {
+    const backup = JSON.parse(await this.readFile(file));
+    let payload = backup && backup.data;
+    if (backup && backup.encrypted) {
+      const passphrase = await getPassphrase();
+      if (!passphrase) return null;
+      payload = await vault.decryptBackup(backup.encrypted, passphrase);
+    }
+    if (!backup || !backup.version || !payload) {
+      throw new Error('Invalid data format');
+    }
+    return this.migrate(payload, Math.min(backup.version, STORAGE_VERSION));
   }
 };
 
-// UI module
-const ui = {
-  showNotification(message, type = 'info', duration = 5000) {
-    // Remove existing notification
-    const existing = document.querySelector('.notification');
-    if (existing) existing.remove();
-    const notification = document.createElement('div');
-    notification.className = `notification notification-${type}`;
-    notification.setAttribute('role', 'alert');
-    notification.setAttribute('aria-live', 'assertive');
-    const messageSpan = document.createElement('span');
-    messageSpan.textContent = message;
-    const closeButton = document.createElement('button');
-    closeButton.className = 'notification-close';
-    closeButton.setAttribute('aria-label', 'Close notification');
-    const closeIcon = document.createElement('i');
-    closeIcon.className = 'fas fa-times';
-    closeIcon.setAttribute('aria-hidden', 'true');
-    closeButton.appendChild(closeIcon);
-    notification.appendChild(messageSpan);
-    notification.appendChild(closeButton);
-    document.body.appendChild(notification);
-    setTimeout(() => {
-      if (notification.parentNode) {
-        notification.style.animation = 'slideInDown 0.3s ease reverse';
-        setTimeout(() => notification.remove(), 300);
-      }
-    }, duration);
-    closeButton.addEventListener('click', () => {
-      notification.style.animation = 'slideInDown 0.3s ease reverse';
-      setTimeout(() => notification.remove(), 300);
-    });
+// Encryption module
+// Records are encrypted with AES-GCM using a key derived from the passphrase via PBKDF2.
+// The key only ever lives in memory; the stored verifier lets us check a passphrase without it.
+const vault = {
+  key: null,
+  config: null,
+  async load() {
+    this.config = await storage.getMeta('encryption');
+    return this.config;
   },
-  setButtonLoading(button, isLoading) {
-    if (!button) return;
-    if (isLoading) {
-      button.classList.add('loading');
-      button.disabled = true;
-    } else {
-      button.classList.remove('loading');
-      button.disabled = false;
+  isEnabled() {
+    return Boolean(this.config);
+  },
+  isLocked() {
+    return this.isEnabled() && !this.key;
+  },
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  },
+  async encrypt(value, key = this.key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encoded = new TextEncoder().encode(JSON.stringify(value));
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoded);
+    return { iv: utils.bytesToBase64(iv), data: utils.bytesToBase64(new Uint8Array(cipher)) };
+  },
+  async decrypt(payload, key = this.key) {
+    const plain = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: utils.base64ToBytes(payload.iv) },
+      key,
+      utils.base64ToBytes(payload.data)
+    );
+    return JSON.parse(new TextDecoder().decode(plain));
+  },
+  async checkPassphrase(passphrase, config = this.config) {
+    const key = await this.deriveKey(passphrase, utils.base64ToBytes(config.salt), config.iterations);
+    try {
+      return (await this.decrypt(config.verifier, key)) === VAULT_VERIFIER ? key : null;
+    } catch (error) {
+      return null;
     }
   },
-  showEmptyState(container, message, icon = 'fas fa-feather') {
-    if (!container) return;
-    const emptyState = document.createElement('div');
-    emptyState.className = 'empty-state';
-    const iconElement = document.createElement('i');
-    iconElement.className = `${icon} icon`;
-    iconElement.setAttribute('aria-hidden', 'true');
-    const messageElement = document.createElement('p');
-    messageElement.textContent = message;
-    emptyState.appendChild(iconElement);
-    emptyState.appendChild(messageElement);
-    container.innerHTML = '';
-    container.appendChild(emptyState);
+  async unlock(passphrase) {
+    const key = await this.checkPassphrase(passphrase);
+    if (!key) return false;
+    this.key = key;
+    return true;
   },
-  renderHabits(habits, filter = 'all') {
-    if (!elements.habitList) return;
-    const fragment = document.createDocumentFragment();
-    const filteredHabits = habits.filter(habit => {
-      if (filter === 'active') return !habit.completed;
-      if (filter === 'completed') return habit.completed;
-      return true;
-    });
-    if (filteredHabits.length === 0) {
-      this.showEmptyState(
-        elements.habitList, 
-        filter === 'completed' ? 'No completed habits yet' : 'No habits yet. Add your first habit to get started!',
-        'fas fa-clipboard-list'
-      );
-      return;
+  lock() {
+    this.key = null;
+  },
+  // `rewrite` re-saves every record; it runs with the new key so the data ends up encrypted.
+  // The config is only stored once that worked, so a failed rewrite never leaves the lock on over
+  // half-plaintext data and other tabs don't lock while it is still running.
+  async enable(passphrase, rewrite) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const config = {
+      salt: utils.bytesToBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await this.encrypt(VAULT_VERIFIER, key)
+    };
+    this.key = key;
+    try {
+      await rewrite();
+    } catch (error) {
+      // Put back in plaintext whatever was already encrypted
+      this.key = null;
+      await rewrite().catch(rollbackError => console.error('Error restoring unencrypted data:', rollbackError));
+      throw error;
     }
-    filteredHabits.forEach(habit => {
-      const habitItem = document.createElement('li');
-      habitItem.className = 'habit-item';
-      habitItem.setAttribute('role', 'listitem');
-      const checkbox = document.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.className = 'habit-checkbox';
-      checkbox.setAttribute('aria-label', `Mark "${habit.text}" as completed`);
-      checkbox.checked = habit.completed;
-      checkbox.disabled = habit.completed;
-      const text = document.createElement('span');
-      text.className = 'habit-text';
-      utils.setTextContent(text, habit.text);
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'delete-habit';
-      deleteBtn.setAttribute('aria-label', `Delete habit "${habit.text}"`);
-      const deleteIcon = document.createElement('i');
-      deleteIcon.className = 'fas fa-times';
-      deleteIcon.setAttribute('aria-hidden', 'true');
-      deleteBtn.appendChild(deleteIcon);
-      if (habit.completed) {
-        habitItem.classList.add('completed');
-      }
-      // Add event listeners
-      checkbox.addEventListener('change', () => {
-        app.toggleHabit(habit.id);
-      });
-      deleteBtn.addEventListener('click', () => {
-        app.deleteHabit(habit.id);
-      });
-      habitItem.appendChild(checkbox);
-      habitItem.appendChild(text);
-      habitItem.appendChild(deleteBtn);
-      fragment.appendChild(habitItem);
-    });
-    elements.habitList.innerHTML = '';
-    elements.habitList.appendChild(fragment);
+    await storage.setMeta('encryption', config);
+    this.config = config;
   },
-  renderJournalEntries(entries, moodFilter = 'all', sortOrder = 'newest') {
-    if (!elements.log) return;
-    elements.log.innerHTML = '';
-    let filteredEntries = [...entries];
-    if (moodFilter !== 'all') {
-      filteredEntries = filteredEntries.filter(entry => entry.mood === moodFilter);
+  async disable(rewrite) {
+    const key = this.key;
+    this.key = null;
+    try {
+      await rewrite();
+    } catch (error) {
+      this.key = key;
+      throw error;
     }
-    filteredEntries.sort((a, b) => {
-      return sortOrder === 'newest' ? b.timestamp - a.timestamp : a.timestamp - b.timestamp;
-    });
-    if (filteredEntries.length === 0) {
-      this.showEmptyState(
-        elements.log,
-        moodFilter === 'all' 
-          ? 'No journal entries yet. Start by writing about your day!' 
-          : `No entries with ${moodFilter} mood`,
-        'fas fa-book'
-      );
-      return;
+    await storage.deleteMeta('encryption');
+    this.config = null;
+  },
+  async seal(record) {
+    if (!this.key) return record;
+    return { id: record.id, encrypted: await this.encrypt(record) };
+  },
+  async open(record) {
+    if (!record || !record.encrypted) return record;
+    if (!this.key) throw new Error('Data is locked');
+    return this.decrypt(record.encrypted);
+  },
+  sealAll(records = []) {
+    return Promise.all(records.map(record => this.seal(record)));
+  },
+  openAll(records = []) {
+    return Promise.all(records.map(record => this.open(record)));
+  },
+  async encryptBackup(data) {
+    const { salt, iterations } = this.config;
+    return { salt, iterations, ...(await this.encrypt(data)) };
+  },
+  async decryptBackup(encrypted, passphrase) {
+    const key = await this.deriveKey(passphrase, utils.base64ToBytes(encrypted.salt), encrypted.iterations);
+    try {
+      return await this.decrypt(encrypted, key);
+    } catch (error) {
+      const passphraseError = new Error('Incorrect passphrase for this backup');
+      passphraseError.name = 'PassphraseError';
+      throw passphraseError;
+    }
+  }
+};
+
+// Import module
+const importer = {
+  isTimestamp(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+  },
+  isShortString(value, maxLength) {
+    return typeof value === 'string' && value.trim() !== '' && value.length <= maxLength;
+  },
+  // Returns a clean copy with only known fields, or null if the record is unusable
+  validateEntry(entry) {
+    if (!entry || typeof entry !== 'object') return null;
+    if (!this.isShortString(entry.id, 100) || !this.isShortString(entry.mood, 40) || !this.isTimestamp(entry.timestamp)) {
+      return null;
+    }
+    if (entry.journal !== undefined && typeof entry.journal !== 'string') return null;
+    const clean = {
+      id: entry.id,
+      mood: entry.mood,
+      journal: entry.journal || '',
+      timestamp: entry.timestamp
+    };
+    if (this.isTimestamp(entry.updatedAt)) clean.updatedAt = entry.updatedAt;
+    CHECK_IN_SCALES.forEach(({ key }) => {
+      if (Number.isInteger(entry[key]) && entry[key] >= 1 && entry[key] <= 10) clean[key] = entry[key];
+    });
+    if (typeof entry.sleepHours === 'number' && entry.sleepHours >= 0 && entry.sleepHours <= 24) {
+      clean.sleepHours = entry.sleepHours;
+    }
+    if (Array.isArray(entry.tags)) {
+      const tags = entry.tags.filter(tag => this.isShortString(tag, 60)).map(tag => utils.normalizeTag(tag)).filter(Boolean);
+      if (tags.length > 0) clean.tags = [...new Set(tags)].slice(0, MAX_TAGS);
+    }
+    if (Array.isArray(entry.attachments)) {
+      const ids = entry.attachments.filter(id => this.isShortString(id, 100));
+      if (ids.length > 0) clean.attachments = [...new Set(ids)].slice(0, MAX_ATTACHMENTS);
+    }
+    if (Array.isArray(entry.history)) {
+      clean.history = entry.history
+        .filter(version => version && typeof version === 'object'
+          && this.isShortString(version.mood, 40)
+          && typeof (version.journal || '') === 'string'
+          && this.isTimestamp(version.replacedAt))
+        .map(version => ({ mood: version.mood, journal: version.journal || '', replacedAt: version.replacedAt }));
+    }
+    return clean;
+  },
+  validateHabit(habit) {
+    if (!habit || typeof habit !== 'object') return null;
+    if (!this.isShortString(habit.id, 100) || !this.isShortString(habit.text, 200)) return null;
+    const completions = {};
+    if (habit.completions && typeof habit.completions === 'object') {
+      Object.keys(habit.completions).forEach(key => {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(key) && habit.completions[key]) completions[key] = true;
+      });
+    }
+    const clean = {
+      id: habit.id,
+      text: habit.text,
+      schedule: habitLog.normalizeSchedule(habit.schedule),
+      completions
+    };
+    if (this.isTimestamp(habit.createdAt)) clean.createdAt = habit.createdAt;
+    if (this.isTimestamp(habit.updatedAt)) clean.updatedAt = habit.updatedAt;
+    if (typeof habit.reminderTime === 'string' && /^\d{2}:\d{2}$/.test(habit.reminderTime)) {
+      clean.reminderTime = habit.reminderTime;
+    }
+    if (typeof habit.order === 'number' && Number.isFinite(habit.order)) clean.order = habit.order;
+    if (this.isShortString(habit.category, 40)) clean.category = habit.category.trim();
+    if (/^#[0-9a-f]{6}$/i.test(habit.color)) clean.color = habit.color;
+    if (HABIT_ICONS[habit.icon]) clean.icon = habit.icon;
+    if (habit.archived === true) {
+      clean.archived = true;
+      if (this.isTimestamp(habit.archivedAt)) clean.archivedAt = habit.archivedAt;
+    }
+    if (HABIT_KINDS[habit.kind] && habit.kind !== 'check' && habitLog.isValidGoal(habit.goal)) {
+      clean.kind = habit.kind;
+      clean.goal = habit.goal;
+      if (habit.kind === 'count' && this.isShortString(habit.unit, 20)) clean.unit = habit.unit.trim();
+      clean.amounts = {};
+      if (habit.amounts && typeof habit.amounts === 'object') {
+        Object.keys(habit.amounts).forEach(key => {
+          const amount = habit.amounts[key];
+          if (/^\d{4}-\d{2}-\d{2}$/.test(key) && typeof amount === 'number' && Number.isFinite(amount) && amount > 0) {
+            clean.amounts[key] = amount;
+          }
+        });
+      }
+      habitLog.applyGoal(clean);
+    }
+    return clean;
+  },
+  validateMood(mood) {
+    if (!mood || typeof mood !== 'object') return null;
+    if (!this.isShortString(mood.id, 100) || !this.isShortString(mood.label, 40) || !this.isShortString(mood.emoji, 16)) {
+      return null;
+    }
+    if (typeof mood.score !== 'number' || !Number.isFinite(mood.score)) return null;
+    const clean = {
+      id: mood.id,
+      label: mood.label,
+      emoji: mood.emoji,
+      score: mood.score,
+      color: /^#[0-9a-f]{6}$/i.test(mood.color) ? mood.color : '#9e9e9e',
+      order: typeof mood.order === 'number' && Number.isFinite(mood.order) ? mood.order : 0
+    };
+    if (this.isTimestamp(mood.updatedAt)) clean.updatedAt = mood.updatedAt;
+    return clean;
+  },
+  validateReflection(reflection) {
+    if (!reflection || typeof reflection !== 'object') return null;
+    if (!this.isShortString(reflection.id, 100) || !['weekly', 'monthly'].includes(reflection.period)) return null;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(reflection.start) || typeof reflection.note !== 'string') return null;
+    const clean = {
+      id: reflection.id,
+      period: reflection.period,
+      start: reflection.start,
+      note: reflection.note
+    };
+    if (this.isTimestamp(reflection.createdAt)) clean.createdAt = reflection.createdAt;
+    if (this.isTimestamp(reflection.updatedAt)) clean.updatedAt = reflection.updatedAt;
+    return clean;
+  },
+  validateList(records, validate) {
+    const byId = new Map();
+    let invalid = 0;
+    (Array.isArray(records) ? records : []).forEach(record => {
+      const clean = validate.call(this, record);
+      if (!clean) {
+        invalid++;
+        return;
+      }
+      const existing = byId.get(clean.id);
+      if (!existing || utils.getRecordTime(clean) >= utils.getRecordTime(existing)) {
+        byId.set(clean.id, clean);
+      }
+    });
+    return { records: [...byId.values()], invalid };
+  },
+  validate(data) {
+    const entries = this.validateList(data.journalEntries, this.validateEntry);
+    const habits = this.validateList(data.habits, this.validateHabit);
+    const moods = this.validateList(data.moods, this.validateMood);
+    const reflections = this.validateList(data.reflections, this.validateReflection);
+    return {
+      data: { journalEntries: entries.records, habits: habits.records, moods: moods.records, reflections: reflections.records },
+      invalid: {
+        journalEntries: entries.invalid,
+        habits: habits.invalid,
+        moods: moods.invalid,
+        reflections: reflections.invalid
+      }
+    };
+  },
+  // Dedupes by id; when both sides have a record, whichever was changed last wins
+  planList(current, incoming) {
+    const merged = new Map(current.map(record => [record.id, record]));
+    const summary = { added: 0, updated: 0, keptLocal: 0, unchanged: 0 };
+    incoming.forEach(record => {
+      const local = merged.get(record.id);
+      if (!local) {
+        merged.set(record.id, record);
+        summary.added++;
+      } else if (JSON.stringify(local) === JSON.stringify(record)) {
+        summary.unchanged++;
+      } else if (utils.getRecordTime(record) > utils.getRecordTime(local)) {
+        merged.set(record.id, record);
+        summary.updated++;
+      } else {
+        summary.keptLocal++;
+      }
+    });
+    return { records: [...merged.values()], summary };
+  },
+  plan(current, incoming) {
+    const entries = this.planList(current.journalEntries, incoming.journalEntries);
+    const habits = this.planList(current.habits, incoming.habits);
+    const moods = this.planList(current.moods, incoming.moods);
+    const reflections = this.planList(current.reflections, incoming.reflections);
+    return {
+      merged: { journalEntries: entries.records, habits: habits.records, moods: moods.records, reflections: reflections.records },
+      summary: {
+        journalEntries: entries.summary,
+        habits: habits.summary,
+        moods: moods.summary,
+        reflections: reflections.summary
+      }
+    };
+  }
+};
+
+// Export module
+const exporter = {
+  inRange(dateKey, { from = '', to = '' } = {}) {
+    return (!from || dateKey >= from) && (!to || dateKey <= to);
+  },
+  filterRange(data, range = {}) {
+    if (!range.from && !range.to) return data;
+    // Habit completions and amounts are both keyed by date
+    const keepInRange = log => {
+      const kept = {};
+      Object.keys(log).forEach(key => {
+        if (this.inRange(key, range)) kept[key] = log[key];
+      });
+      return kept;
+    };
+    return {
+      journalEntries: data.journalEntries.filter(entry => this.inRange(utils.toDateKey(entry.timestamp), range)),
+      habits: data.habits.map(habit => {
+        const filtered = { ...habit, completions: keepInRange(habit.completions) };
+        if (habit.amounts) filtered.amounts = keepInRange(habit.amounts);
+        return filtered;
+      }),
+      moods: data.moods,
+      reflections: data.reflections.filter(reflection => this.inRange(reflection.start, range))
+    };
+  },
+  // Days a habit is reported on: from the range start (or when it was created) up to the range end (or today)
+  getHabitDays(habit, { from = '', to = '' } = {}) {
+    const todayKey = utils.toDateKey();
+    const completed = Object.keys(habit.completions).sort();
+    const createdKey = habit.createdAt ? utils.toDateKey(habit.createdAt) : completed[0] || todayKey;
+    const firstKey = completed.length > 0 && completed[0] < createdKey ? completed[0] : createdKey;
+    const start = from && from > firstKey ? from : firstKey;
+    const end = to && to < todayKey ? to : todayKey;
+    const days = [];
+    for (let key = start; key <= end; key = utils.addDays(key, 1)) {
+      if (habitLog.isCompletedOn(habit, key) || habitLog.isDueOn(habit, key)) days.push(key);
+    }
+    return days;
+  },
+  // Quotes fields as needed and defuses spreadsheet formulas (=, +, -, @)
+  csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+  toCSV(data, range = {}) {
+    const rows = [['type', 'date', 'time', 'mood', 'mood_score', 'journal', 'habit', 'completed', 'energy', 'anxiety', 'stress', 'sleep_hours', 'tags']];
+    [...data.journalEntries]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(entry => {
+        rows.push([
+          'entry',
+          utils.toDateKey(entry.timestamp),
+          utils.formatTime(entry.timestamp),
+          moodScale.getLabel(entry.mood),
+          moodScale.getScore(entry.mood),
+          entry.journal,
+          '',
+          '',
+          ...CHECK_IN_SCALES.map(({ key }) => entry[key]),
+          entry.sleepHours,
+          (entry.tags || []).join(' ')
+        ]);
+      });
+    data.habits.forEach(habit => {
+      this.getHabitDays(habit, range).forEach(key => {
+        rows.push(['habit', key, '', '', '', '', habit.text, habitLog.isCompletedOn(habit, key) ? 'yes' : 'no', '', '', '', '', '']);
+      });
+    });
+    return rows.map(row => row.map(field => this.csvField(field)).join(',')).join('\r\n');
+  },
+  toMarkdown(data, range = {}) {
+    const lines = ['# Mindful Moments Journal', ''];
+    if (range.from || range.to) {
+      lines.push(`_${this.describeRange(range)}_`, '');
+    }
+    const byDay = new Map();
+    [...data.journalEntries]
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .forEach(entry => {
+        const key = utils.toDateKey(entry.timestamp);
+        if (!byDay.has(key)) byDay.set(key, []);
+        byDay.get(key).push(entry);
+      });
+    if (byDay.size === 0) {
+      lines.push('No journal entries in this period.');
+    }
+    byDay.forEach((entries, key) => {
+      lines.push(`## ${utils.formatDate(utils.parseDateKey(key))}`, '');
+      entries.forEach(entry => {
+        lines.push(`### ${moodScale.describe(entry.mood)} · ${utils.formatTime(entry.timestamp)}`, '');
+        const details = ui.describeCheckIn(entry);
+        if (details.length > 0) lines.push(`_${details.join(' · ')}_`, '');
+        const journal = (entry.journal || '').trim();
+        lines.push(journal ? journal.split('\n').map(line => `> ${line}`).join('\n') : '_No journal content_', '');
+      });
+      const doneHabits = data.habits.filter(habit => habitLog.isCompletedOn(habit, key));
+      if (doneHabits.length > 0) {
+        lines.push(`**Habits completed:** ${doneHabits.map(habit => habit.text).join(', ')}`, '');
+      }
+    });
+    return lines.join('\n');
+  },
+  describeRange({ from = '', to = '' } = {}) {
+    const format = key => utils.formatDate(utils.parseDateKey(key));
+    if (from && to) return `${format(from)} – ${format(to)}`;
+    if (from) return `Since ${format(from)}`;
+    if (to) return `Up to ${format(to)}`;
+    return 'All time';
+  },
+  habitSummary(habit, range) {
+    const days = this.getHabitDays(habit, range);
+    const completed = days.filter(key => habitLog.isCompletedOn(habit, key)).length;
+    return { completed, total: days.length, rate: days.length > 0 ? Math.round((completed / days.length) * 100) : 0 };
+  },
+  renderReport(container, data, range) {
+    if (!container) return;
+    container.innerHTML = '';
+    const heading = document.createElement('h1');
+    heading.textContent = 'Mindful Moments Report';
+    const period = document.createElement('p');
+    period.className = 'report-period';
+    period.textContent = this.describeRange(range);
+    const stats = document.createElement('dl');
+    stats.className = 'report-stats';
+    const daysJournaled = new Set(data.journalEntries.map(entry => utils.toDateKey(entry.timestamp))).size;
+    [
+      ['Journal entries', data.journalEntries.length],
+      ['Days journaled', daysJournaled],
+      ['Average mood', utils.calculateMoodAverage(data.journalEntries)]
+    ].forEach(([label, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      stats.appendChild(term);
+      stats.appendChild(detail);
+    });
+    const trendHeading = document.createElement('h2');
+    trendHeading.textContent = 'Mood Over Time';
+    const trend = document.createElement('div');
+    trend.className = 'chart-container';
+    dashboard.renderTrendChart(trend, dashboard.aggregateMood(data.journalEntries, 'daily'));
+    const distributionHeading = document.createElement('h2');
+    distributionHeading.textContent = 'Mood Distribution';
+    const distribution = document.createElement('div');
+    dashboard.renderDistribution(distribution, dashboard.moodDistribution(data.journalEntries));
+    const habitsHeading = document.createElement('h2');
+    habitsHeading.textContent = 'Habits';
+    const habitTable = document.createElement('table');
+    habitTable.className = 'correlation-table';
+    habitTable.innerHTML = '<thead><tr><th scope="col">Habit</th><th scope="col">Schedule</th><th scope="col">Completed</th><th scope="col">Rate</th></tr></thead>';
+    const habitBody = document.createElement('tbody');
+    data.habits.forEach(habit => {
+      const { completed, total, rate } = this.habitSummary(habit, range);
+      const row = document.createElement('tr');
+      [habit.text, habitLog.describeSchedule(habit.schedule), `${completed} / ${total}`, `${rate}%`].forEach((value, index) => {
+        const cell = document.createElement(index === 0 ? 'th' : 'td');
+        if (index === 0) cell.scope = 'row';
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      habitBody.appendChild(row);
+    });
+    habitTable.appendChild(habitBody);
+    const journalHeading = document.createElement('h2');
+    journalHeading.textContent = 'Journal';
+    const journal = document.createElement('div');
+    journal.className = 'report-journal';
+    [...data.journalEntries].sort((a, b) => a.timestamp - b.timestamp).forEach(entry => {
+      const item = document.createElement('article');
+      item.className = 'report-entry';
+      const title = document.createElement('h3');
+      title.textContent = `${utils.formatDate(entry.timestamp)} · ${moodScale.describe(entry.mood)}`;
+      const text = document.createElement('p');
+      text.textContent = entry.journal || 'No journal content';
+      item.appendChild(title);
+      item.appendChild(text);
+      journal.appendChild(item);
+    });
+    [heading, period, stats, trendHeading, trend, distributionHeading, distribution, habitsHeading, habitTable, journalHeading, journal]
+      .forEach(element => container.appendChild(element));
+  },
+  async export(format, range) {
+    const stamp = new Date().toISOString().split('T')[0];
+    if (format === 'json') {
+      await storage.exportData(range);
+      return;
+    }
+    const data = this.filterRange(await storage.loadAll(), range);
+    if (format === 'csv') {
+      utils.downloadFile(this.toCSV(data, range), `mindful-moments-${stamp}.csv`, 'text/csv');
+    } else if (format === 'markdown') {
+      utils.downloadFile(this.toMarkdown(data, range), `mindful-moments-${stamp}.md`, 'text/markdown');
+    } else if (format === 'report') {
+      this.renderReport(elements.printReport, data, range);
+      window.print();
+    }
+  }
+};
+
+// Habit history module
+const habitLog = {
+  normalize(habit) {
+    const normalized = { ...habit };
+    if (!normalized.completions || typeof normalized.completions !== 'object') {
+      normalized.completions = {};
+    }
+    // Older data only had a single completed flag; keep it as a completion for today
+    if (normalized.completed === true) {
+      normalized.completions[utils.toDateKey()] = true;
+    }
+    delete normalized.completed;
+    normalized.schedule = this.normalizeSchedule(normalized.schedule);
+    if (this.isQuantitative(normalized) && (!normalized.amounts || typeof normalized.amounts !== 'object')) {
+      normalized.amounts = {};
+    }
+    return normalized;
+  },
+  getKind(habit) {
+    return HABIT_KINDS[habit.kind] ? habit.kind : 'check';
+  },
+  isQuantitative(habit) {
+    return this.getKind(habit) !== 'check';
+  },
+  // Used by the editor and the importer alike, so a goal that can be saved also survives a backup round trip
+  isValidGoal(goal) {
+    return Number.isFinite(goal) && goal >= 1 && goal <= MAX_HABIT_GOAL;
+  },
+  getAmount(habit, dateKey) {
+    return (habit.amounts && habit.amounts[dateKey]) || 0;
+  },
+  // Count and duration habits count as completed on days their amount reaches the goal
+  setAmount(habit, dateKey, amount) {
+    const value = Math.max(0, Math.round(amount * 100) / 100);
+    habit.amounts = { ...habit.amounts };
+    if (value > 0) {
+      habit.amounts[dateKey] = value;
+    } else {
+      delete habit.amounts[dateKey];
+    }
+    this.setCompleted(habit, dateKey, value >= habit.goal);
+  },
+  // Re-checks every logged day after the goal changes
+  applyGoal(habit) {
+    habit.completions = {};
+    Object.keys(habit.amounts || {}).forEach(key => {
+      if (habit.amounts[key] >= habit.goal) habit.completions[key] = true;
+    });
+  },
+  // 0 to 1; yes/no habits are either done or not
+  getProgress(habit, dateKey) {
+    if (!this.isQuantitative(habit)) return this.isCompletedOn(habit, dateKey) ? 1 : 0;
+    return Math.min(1, this.getAmount(habit, dateKey) / habit.goal);
+  },
+  formatValue(habit, amount) {
+    return String(this.getKind(habit) === 'duration' ? Math.round(amount) : Math.round(amount * 100) / 100);
+  },
+  formatAmount(habit, amount) {
+    const unit = this.getKind(habit) === 'duration' ? HABIT_KINDS.duration.unit : habit.unit;
+    return unit ? `${this.formatValue(habit, amount)} ${unit}` : this.formatValue(habit, amount);
+  },
+  normalizeSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') return { type: 'daily' };
+    if (schedule.type === 'weekdays') {
+      const days = Array.isArray(schedule.days)
+        ? [...new Set(schedule.days.map(Number))].filter(day => day >= 0 && day <= 6).sort()
+        : [];
+      return days.length > 0 ? { type: 'weekdays', days } : { type: 'daily' };
+    }
+    if (schedule.type === 'weekly' || schedule.type === 'monthly') {
+      const max = schedule.type === 'weekly' ? 7 : 31;
+      const target = Math.min(Math.max(parseInt(schedule.target, 10) || 1, 1), max);
+      return { type: schedule.type, target };
+    }
+    return { type: 'daily' };
+  },
+  describeSchedule(schedule) {
+    switch (schedule.type) {
+      case 'weekdays':
+        return schedule.days.map(day => WEEKDAY_NAMES[day]).join(', ');
+      case 'weekly':
+        return `${schedule.target}× per week`;
+      case 'monthly':
+        return `${schedule.target}× per month`;
+      default:
+        return 'Every day';
+    }
+  },
+  isCompletedOn(habit, dateKey) {
+    return Boolean(habit.completions && habit.completions[dateKey]);
+  },
+  setCompleted(habit, dateKey, completed) {
+    if (completed) {
+      habit.completions[dateKey] = true;
+    } else {
+      delete habit.completions[dateKey];
+    }
+  },
+  // Weeks start on Sunday, matching the heatmap columns
+  getPeriodKey(dateKey, type) {
+    if (type === 'monthly') return dateKey.slice(0, 7);
+    return utils.addDays(dateKey, -utils.parseDateKey(dateKey).getDay());
+  },
+  countInPeriod(habit, dateKey, excludeKey = null) {
+    const type = habit.schedule.type;
+    const periodKey = this.getPeriodKey(dateKey, type);
+    return Object.keys(habit.completions).filter(key =>
+      habit.completions[key] && key !== excludeKey && this.getPeriodKey(key, type) === periodKey
+    ).length;
+  },
+  // A habit is due on a day it is scheduled for, or while its weekly/monthly target is still open
+  isDueOn(habit, dateKey) {
+    const { schedule } = habit;
+    if (schedule.type === 'weekdays') {
+      return schedule.days.includes(utils.parseDateKey(dateKey).getDay());
+    }
+    if (schedule.type === 'weekly' || schedule.type === 'monthly') {
+      return this.countInPeriod(habit, dateKey, dateKey) < schedule.target;
+    }
+    return true;
+  },
+  getStreaks(habit, todayKey = utils.toDateKey()) {
+    const type = habit.schedule.type;
+    if (type === 'weekly' || type === 'monthly') {
+      return this.getPeriodStreaks(habit, todayKey);
+    }
+    const keys = Object.keys(habit.completions)
+      .filter(key => habit.completions[key] && key <= todayKey)
+      .sort();
+    let best = 0;
+    let run = 0;
+    if (keys.length > 0) {
+      for (let key = keys[0]; key <= todayKey; key = utils.addDays(key, 1)) {
+        if (this.isCompletedOn(habit, key)) {
+          run++;
+        } else if (this.isDueOn(habit, key) && key !== todayKey) {
+          // Off-days are skipped; today is still open so it never breaks the streak
+          run = 0;
+        }
+        best = Math.max(best, run);
+      }
+    }
+    return { current: run, best, unit: 'day' };
+  },
+  getPeriodStreaks(habit, todayKey) {
+    const type = habit.schedule.type;
+    const keys = Object.keys(habit.completions)
+      .filter(key => habit.completions[key] && key <= todayKey)
+      .sort();
+    let best = 0;
+    let run = 0;
+    if (keys.length > 0) {
+      const currentPeriod = this.getPeriodKey(todayKey, type);
+      let periodKey = this.getPeriodKey(keys[0], type);
+      while (periodKey <= currentPeriod) {
+        const firstDay = type === 'monthly' ? `${periodKey}-01` : periodKey;
+        if (this.countInPeriod(habit, firstDay) >= habit.schedule.target) {
+          run++;
+        } else if (periodKey !== currentPeriod) {
+          run = 0;
+        }
+        best = Math.max(best, run);
+        periodKey = type === 'monthly'
+          ? utils.addMonths(firstDay, 1).slice(0, 7)
+          : utils.addDays(periodKey, 7);
+      }
+    }
+    return { current: run, best, unit: type === 'monthly' ? 'month' : 'week' };
+  },
+  // Habits saved before they could be reordered have no `order` and keep their relative position at the end
+  sort(habits) {
+    const position = habit => (typeof habit.order === 'number' ? habit.order : Infinity);
+    return [...habits].sort((a, b) => position(a) - position(b));
+  },
+  nextOrder(habits) {
+    return habits.reduce((max, habit) => Math.max(max, typeof habit.order === 'number' ? habit.order + 1 : 0), habits.length);
+  },
+  getCategories(habits) {
+    return [...new Set(this.sort(habits).map(habit => habit.category).filter(Boolean))];
+  },
+  // Groups keep the order their first habit has, with uncategorised habits under ''
+  group(habits) {
+    const groups = new Map();
+    this.sort(habits).forEach(habit => {
+      const category = habit.category || '';
+      if (!groups.has(category)) groups.set(category, []);
+      groups.get(category).push(habit);
+    });
+    return [...groups].map(([category, list]) => ({ category, habits: list }));
+  }
+};
+
+// Habit timer module
+// Running timers for duration habits. They are saved so a reload doesn't lose them, and stopping one
+// logs the elapsed minutes on the day it was started.
+const habitTimers = {
+  running: {},
+  ticker: null,
+  async load() {
+    this.running = (await storage.getMeta('habitTimers')) || {};
+    this.updateTicker();
+  },
+  isRunning(id) {
+    return Boolean(this.running[id]);
+  },
+  elapsed(id, now = Date.now()) {
+    return this.running[id] ? Math.max(0, now - this.running[id].startedAt) : 0;
+  },
+  async start(id, dateKey) {
+    this.running = { ...this.running, [id]: { startedAt: Date.now(), dateKey } };
+    await storage.setMeta('habitTimers', this.running);
+    this.updateTicker();
+  },
+  // Resolves with the day the timer was started on and how many minutes it ran, or null if it wasn't running
+  async stop(id) {
+    const timer = this.running[id];
+    if (!timer) return null;
+    const minutes = this.elapsed(id) / 60000;
+    const rest = { ...this.running };
+    delete rest[id];
+    this.running = rest;
+    await storage.setMeta('habitTimers', rest);
+    this.updateTicker();
+    return { dateKey: timer.dateKey, minutes };
+  },
+  updateTicker() {
+    clearInterval(this.ticker);
+    this.ticker = Object.keys(this.running).length > 0 ? setInterval(() => ui.updateHabitTimers(), TIMER_TICK) : null;
+  }
+};
+
+// Markdown module
+// Renders the small Markdown subset the journal toolbar writes: headings, lists, quotes, bold, italic,
+// code and links. It only ever creates elements and text nodes, so nothing typed is parsed as HTML.
+const markdown = {
+  inlinePattern: /(\*\*[^*\n]+\*\*|\*[^*\s][^*\n]*\*|`[^`\n]+`|\[[^\]\n]+\]\([^)\s]+\))/,
+  render(text, terms = []) {
+    const fragment = document.createDocumentFragment();
+    this.parseBlocks(text).forEach(block => fragment.appendChild(this.renderBlock(block, terms)));
+    return fragment;
+  },
+  // Groups lines into blocks; a blank line or a change of block type starts a new one
+  parseBlocks(text) {
+    const blocks = [];
+    let current = null;
+    String(text).replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+      if (!line.trim()) {
+        current = null;
+        return;
+      }
+      const heading = line.match(/^(#{1,3})\s+(.*)$/);
+      if (heading) {
+        blocks.push({ type: 'heading', level: heading[1].length, lines: [heading[2]] });
+        current = null;
+        return;
+      }
+      const bullet = line.match(/^\s*[-*+](?:\s+(.*))?$/);
+      const numbered = line.match(/^\s*\d+[.)](?:\s+(.*))?$/);
+      const quote = line.match(/^\s*>\s?(.*)$/);
+      let type = 'paragraph';
+      let content = line;
+      if (bullet) [type, content] = ['ul', bullet[1] || ''];
+      else if (numbered) [type, content] = ['ol', numbered[1] || ''];
+      else if (quote) [type, content] = ['blockquote', quote[1]];
+      if (current && current.type === type) {
+        current.lines.push(content);
+      } else {
+        current = { type, lines: [content] };
+        blocks.push(current);
+      }
+    });
+    return blocks;
+  },
+  renderBlock(block, terms) {
+    if (block.type === 'ul' || block.type === 'ol') {
+      const list = document.createElement(block.type);
+      block.lines.forEach(line => {
+        const item = document.createElement('li');
+        this.appendInline(item, line, terms);
+        list.appendChild(item);
+      });
+      return list;
+    }
+    // Headings start at h3 so they rank below the page's own section headings
+    const tag = block.type === 'heading' ? `h${block.level + 2}` : block.type === 'blockquote' ? 'blockquote' : 'p';
+    const element = document.createElement(tag);
+    block.lines.forEach((line, index) => {
+      if (index > 0) element.appendChild(document.createElement('br'));
+      this.appendInline(element, line, terms);
+    });
+    return element;
+  },
+  appendInline(container, text, terms = []) {
+    text.split(this.inlinePattern).forEach((part, index) => {
+      if (!part) return;
+      if (index % 2 === 0) {
+        utils.appendHighlightedText(container, part, terms);
+        return;
+      }
+      const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+      if (link) {
+        const href = this.safeUrl(link[2]);
+        if (!href) {
+          utils.appendHighlightedText(container, link[1], terms);
+          return;
+        }
+        const anchor = document.createElement('a');
+        anchor.href = href;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener noreferrer';
+        utils.appendHighlightedText(anchor, link[1], terms);
+        container.appendChild(anchor);
+        return;
+      }
+      const [tag, inner] = part.startsWith('`') ? ['code', part.slice(1, -1)]
+        : part.startsWith('**') ? ['strong', part.slice(2, -2)]
+          : ['em', part.slice(1, -1)];
+      const element = document.createElement(tag);
+      utils.appendHighlightedText(element, inner, terms);
+      container.appendChild(element);
+    });
+  },
+  // Only web and mail links are followed; anything else (javascript:, data:, relative paths) stays plain text
+  safeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+// Drafts module
+// The unsaved journal form is kept in meta 'draft', sealed like a record, so a reload or lock doesn't lose it
+const drafts = {
+  saveTimer: null,
+  // Set once this tab has typed something, so an idle tab never overwrites another tab's draft
+  dirty: false,
+  current() {
+    return {
+      id: 'draft',
+      mood: state.selectedMood || '',
+      journal: elements.journal ? elements.journal.value : '',
+      tags: [...state.draftTags],
+      attachments: [...state.draftAttachments],
+      updatedAt: Date.now()
+    };
+  },
+  isEmpty(draft) {
+    return !draft.mood && !draft.journal.trim() && draft.tags.length === 0 && draft.attachments.length === 0;
+  },
+  schedule() {
+    this.dirty = true;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.save(), DRAFT_SAVE_DELAY);
+  },
+  async save() {
+    clearTimeout(this.saveTimer);
+    if (!this.dirty || vault.isLocked()) return;
+    try {
+      await this.write(this.current());
+    } catch (error) {
+      console.error('Error saving draft:', error);
+    }
+  },
+  // Also used when the passphrase changes, to re-seal the draft with the new key
+  async write(draft) {
+    if (this.isEmpty(draft)) {
+      await storage.deleteMeta('draft');
+    } else {
+      await storage.setMeta('draft', await vault.seal(draft));
+    }
+  },
+  async load() {
+    try {
+      return await vault.open(await storage.getMeta('draft'));
+    } catch (error) {
+      console.error('Error loading draft:', error);
+      return null;
+    }
+  },
+  async clear() {
+    clearTimeout(this.saveTimer);
+    this.dirty = false;
+    await storage.deleteMeta('draft');
+  }
+};
+
+// Attachments module
+// Photos are scaled down on this device and kept in their own store, sealed like records. Entries only
+// hold their ids; the images stay out of backups and sync so those stay small.
+const attachments = {
+  cache: new Map(),
+  async add(file) {
+    const image = await this.loadImage(file);
+    const record = {
+      id: generateId(),
+      name: file.name,
+      createdAt: Date.now(),
+      image: this.resize(image, ATTACHMENT_MAX_SIZE),
+      thumbnail: this.resize(image, THUMBNAIL_SIZE)
+    };
+    await storage.putAttachment(await vault.seal(record));
+    this.cache.set(record.id, record);
+    return record;
+  },
+  loadImage(file) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`${file.name} is not an image this browser can read`));
+      };
+      image.src = url;
+    });
+  },
+  // JPEG data URL no larger than `maxSize` on its longest side
+  resize(image, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.85);
+  },
+  // Resolves with null for photos that aren't on this device, e.g. on entries synced from elsewhere
+  async get(id) {
+    if (!this.cache.has(id)) {
+      const record = await vault.open(await storage.getAttachment(id));
+      if (!record) return null;
+      this.cache.set(id, record);
+    }
+    return this.cache.get(id);
+  },
+  async remove(ids) {
+    ids.forEach(id => this.cache.delete(id));
+    await storage.deleteAttachments(ids);
+  },
+  // Drops photos no entry, draft or kept snapshot refers to any more. Only runs when data is opened, so
+  // deleting an entry can still be undone within the session, and restoring a snapshot (even the one
+  // taken before clearing all data) brings its photos back. Photos go once the last snapshot using them does.
+  async prune(draft) {
+    const referenced = new Set([...state.draftAttachments, ...((draft && draft.attachments) || [])]);
+    const addEntries = entries => entries.forEach(entry => (entry.attachments || []).forEach(id => referenced.add(id)));
+    addEntries(state.journalEntries);
+    try {
+      for (const snapshot of await storage.getSnapshots()) {
+        addEntries((await storage.readSnapshot(snapshot)).journalEntries);
+      }
+    } catch (error) {
+      // Without knowing what every snapshot needs, keep all photos until the next time
+      console.error('Error reading snapshots, keeping all photos:', error);
+      return;
+    }
+    const ids = await storage.getAttachmentIds();
+    await this.remove(ids.filter(id => !referenced.has(id)));
+  },
+  // Used when the passphrase changes: photos are read with the old key and written back with the new one
+  async readAll() {
+    return vault.openAll(await storage.getAttachments());
+  },
+  async writeAll(list) {
+    for (const record of list) {
+      await storage.putAttachment(await vault.seal(record));
+    }
+  },
+  clearCache() {
+    this.cache.clear();
+  }
+};
+
+// UI module
+const ui = {
+  showNotification(message, type = 'info', duration = 5000, action = null) {
+    // Remove existing notification
+    const existing = document.querySelector('.notification');
+    if (existing) existing.remove();
+    const notification = document.createElement('div');
+    notification.className = `notification notification-${type}`;
+    this.announce(message, type === 'danger' || type === 'warning');
+    const messageSpan = document.createElement('span');
+    messageSpan.textContent = message;
+    const closeButton = document.createElement('button');
+    closeButton.className = 'notification-close';
+    closeButton.setAttribute('aria-label', 'Close notification');
+    const closeIcon = document.createElement('i');
+    closeIcon.className = 'fas fa-times';
+    closeIcon.setAttribute('aria-hidden', 'true');
+    closeButton.appendChild(closeIcon);
+    notification.appendChild(messageSpan);
+    if (action) {
+      const actionButton = document.createElement('button');
+      actionButton.className = 'notification-action';
+      actionButton.textContent = action.label;
+      actionButton.addEventListener('click', () => {
+        notification.remove();
+        action.onClick();
+      });
+      notification.appendChild(actionButton);
+    }
+    notification.appendChild(closeButton);
+    document.body.appendChild(notification);
+    setTimeout(() => {
+      if (notification.parentNode) {
+        notification.style.animation = 'slideInDown 0.3s ease reverse';
+        setTimeout(() => notification.remove(), 300);
+      }
+    }, duration);
+    closeButton.addEventListener('click', () => {
+      notification.style.animation = 'slideInDown 0.3s ease reverse';
+      setTimeout(() => notification.remove(), 300);
+    });
+  },
+  // Announcements go through the two live regions that are always in the page, since screen readers
+  // often miss regions that are inserted together with their text. Only problems interrupt.
+  announce(message, assertive = false) {
+    const region = assertive ? elements.assertiveAnnouncer : elements.politeAnnouncer;
+    if (!region) return;
+    region.textContent = '';
+    // Written after a pause so the same message twice in a row is still spoken
+    clearTimeout(region.announceTimer);
+    region.announceTimer = setTimeout(() => { region.textContent = message; }, ANNOUNCE_DELAY);
+  },
+  setButtonLoading(button, isLoading) {
+    if (!button) return;
+    if (isLoading) {
+      button.classList.add('loading');
+      button.disabled = true;
+    } else {
+      button.classList.remove('loading');
+      button.disabled = false;
+    }
+  },
+  showEmptyState(container, message, icon = 'fas fa-feather') {
+    if (!container) return;
+    const emptyState = document.createElement('div');
+    emptyState.className = 'empty-state';
+    const iconElement = document.createElement('i');
+    iconElement.className = `${icon} icon`;
+    iconElement.setAttribute('aria-hidden', 'true');
+    const messageElement = document.createElement('p');
+    messageElement.textContent = message;
+    emptyState.appendChild(iconElement);
+    emptyState.appendChild(messageElement);
+    container.innerHTML = '';
+    container.appendChild(emptyState);
+  },
+  renderHabits(habits, filter = 'all', dateKey = utils.toDateKey()) {
+    if (!elements.habitList) return;
+    const fragment = document.createDocumentFragment();
+    const filteredHabits = habits.filter(habit => {
+      if (filter === 'archived') return Boolean(habit.archived);
+      if (habit.archived) return false;
+      if (filter.startsWith('category:')) return (habit.category || '') === filter.slice('category:'.length);
+      const completed = habitLog.isCompletedOn(habit, dateKey);
+      if (filter === 'due') return habitLog.isDueOn(habit, dateKey);
+      if (filter === 'active') return !completed && habitLog.isDueOn(habit, dateKey);
+      if (filter === 'completed') return completed;
+      return true;
+    });
+    if (filteredHabits.length === 0) {
+      const emptyMessages = {
+        due: 'Nothing is scheduled for this day',
+        active: 'All caught up for this day!',
+        completed: 'No completed habits yet',
+        archived: 'No archived habits'
+      };
+      this.showEmptyState(
+        elements.habitList, 
+        habits.length > 0 && emptyMessages[filter] ? emptyMessages[filter] : 'No habits yet. Add your first habit to get started!',
+        'fas fa-clipboard-list'
+      );
+      return;
+    }
+    const groups = habitLog.group(filteredHabits);
+    const showHeadings = groups.some(group => group.category);
+    groups.forEach(({ category, habits: groupHabits }) => {
+      if (showHeadings) {
+        const heading = document.createElement('li');
+        heading.className = 'habit-category';
+        const title = document.createElement('h3');
+        title.textContent = category || 'Other';
+        heading.appendChild(title);
+        fragment.appendChild(heading);
+      }
+      groupHabits.forEach((habit, index) => {
+        const item = state.editingHabitId === habit.id
+          ? this.renderHabitEditor(habit)
+          : this.renderHabitItem(habit, dateKey, groupHabits[index - 1], groupHabits[index + 1]);
+        fragment.appendChild(item);
+      });
+    });
+    elements.habitList.innerHTML = '';
+    elements.habitList.appendChild(fragment);
+  },
+  // `previous` and `next` are the neighbours within the habit's group, used for keyboard reordering
+  renderHabitItem(habit, dateKey, previous, next) {
+    const completed = habitLog.isCompletedOn(habit, dateKey);
+    const dayLabel = utils.formatDate(utils.parseDateKey(dateKey));
+    const habitItem = document.createElement('li');
+    habitItem.className = 'habit-item';
+    habitItem.setAttribute('role', 'listitem');
+    habitItem.dataset.id = habit.id;
+    if (habit.color) {
+      habitItem.classList.add('has-color');
+      habitItem.style.setProperty('--habit-color', habit.color);
+    }
+    const handle = this.createIconButton('fas fa-grip-vertical', `Move "${habit.text}". Drag, or use the up and down arrow keys`, 'habit-handle');
+    handle.addEventListener('keydown', (e) => {
+      const neighbour = e.key === 'ArrowUp' ? previous : e.key === 'ArrowDown' ? next : null;
+      if (!neighbour) return;
+      e.preventDefault();
+      app.moveHabit(habit.id, neighbour.id, e.key === 'ArrowUp' ? 'before' : 'after').then(() => {
+        const moved = [...elements.habitList.querySelectorAll('.habit-item')].find(item => item.dataset.id === habit.id);
+        if (moved) moved.querySelector('.habit-handle').focus();
+      });
+    });
+    this.setupHabitDrag(habitItem, habit);
+    const text = document.createElement('span');
+    text.className = 'habit-text';
+    if (habit.icon) {
+      const icon = document.createElement('i');
+      icon.className = `fas ${habit.icon} habit-icon`;
+      icon.setAttribute('aria-hidden', 'true');
+      text.appendChild(icon);
+    }
+    text.appendChild(document.createTextNode(habit.text));
+    text.addEventListener('dblclick', () => app.startEditingHabit(habit.id));
+    const schedule = document.createElement('span');
+    schedule.className = 'habit-schedule';
+    utils.setTextContent(schedule, habitLog.describeSchedule(habit.schedule));
+    const editBtn = this.createIconButton('fas fa-pen', `Edit habit "${habit.text}"`, 'edit-habit');
+    editBtn.addEventListener('click', () => app.startEditingHabit(habit.id));
+    const archiveBtn = habit.archived
+      ? this.createIconButton('fas fa-box-open', `Unarchive habit "${habit.text}"`, 'archive-habit')
+      : this.createIconButton('fas fa-box-archive', `Archive habit "${habit.text}"`, 'archive-habit');
+    archiveBtn.addEventListener('click', () => app.setHabitArchived(habit.id, !habit.archived));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'delete-habit';
+    deleteBtn.setAttribute('aria-label', `Delete habit "${habit.text}"`);
+    const deleteIcon = document.createElement('i');
+    deleteIcon.className = 'fas fa-times';
+    deleteIcon.setAttribute('aria-hidden', 'true');
+    deleteBtn.appendChild(deleteIcon);
+    deleteBtn.addEventListener('click', () => {
+      app.deleteHabit(habit.id);
+    });
+    habitItem.appendChild(handle);
+    // Archived habits keep their history but can't be checked off any more
+    if (habit.archived) {
+      habitItem.classList.add('archived');
+    } else if (habitLog.isQuantitative(habit)) {
+      if (completed) {
+        habitItem.classList.add('completed');
+      } else if (habitLog.isDueOn(habit, dateKey)) {
+        habitItem.classList.add('due');
+      }
+    } else {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'habit-checkbox';
+      checkbox.setAttribute('aria-label', `Mark "${habit.text}" as completed on ${dayLabel}`);
+      checkbox.checked = completed;
+      checkbox.addEventListener('change', () => {
+        app.toggleHabit(habit.id, dateKey);
+      });
+      habitItem.appendChild(checkbox);
+      if (completed) {
+        habitItem.classList.add('completed');
+      } else if (habitLog.isDueOn(habit, dateKey)) {
+        habitItem.classList.add('due');
+      }
+    }
+    habitItem.appendChild(text);
+    habitItem.appendChild(schedule);
+    habitItem.appendChild(editBtn);
+    habitItem.appendChild(archiveBtn);
+    habitItem.appendChild(deleteBtn);
+    if (habitLog.isQuantitative(habit) && !habit.archived) {
+      habitItem.appendChild(this.renderHabitAmount(habit, dateKey, dayLabel));
+    }
+    habitItem.appendChild(this.renderHabitProgress(habit));
+    return habitItem;
+  },
+  // +/- controls and, for duration habits, a timer in place of the checkbox
+  renderHabitAmount(habit, dateKey, dayLabel) {
+    const amount = habitLog.getAmount(habit, dateKey);
+    const { step } = HABIT_KINDS[habitLog.getKind(habit)];
+    const stepLabel = habitLog.formatAmount(habit, step);
+    const container = document.createElement('div');
+    container.className = 'habit-amount';
+    const minusBtn = this.createIconButton('fas fa-minus', `Remove ${stepLabel} from "${habit.text}" on ${dayLabel}`, 'habit-step');
+    minusBtn.disabled = amount <= 0;
+    minusBtn.addEventListener('click', () => app.adjustHabit(habit.id, -step, dateKey));
+    const plusBtn = this.createIconButton('fas fa-plus', `Add ${stepLabel} to "${habit.text}" on ${dayLabel}`, 'habit-step');
+    plusBtn.addEventListener('click', () => app.adjustHabit(habit.id, step, dateKey));
+    const value = document.createElement('span');
+    value.className = 'habit-amount-value';
+    value.textContent = `${habitLog.formatValue(habit, amount)} / ${habitLog.formatAmount(habit, habit.goal)}`;
+    const bar = document.createElement('progress');
+    bar.className = 'habit-amount-bar';
+    bar.max = habit.goal;
+    bar.value = Math.min(amount, habit.goal);
+    bar.setAttribute('aria-label', `"${habit.text}" progress on ${dayLabel}`);
+    container.appendChild(minusBtn);
+    container.appendChild(value);
+    container.appendChild(plusBtn);
+    container.appendChild(bar);
+    if (habitLog.getKind(habit) === 'duration') {
+      const running = habitTimers.isRunning(habit.id);
+      const timerBtn = this.createIconButton(
+        running ? 'fas fa-stop' : 'fas fa-play',
+        running ? `Stop timer for "${habit.text}" and log the time` : `Start timer for "${habit.text}"`,
+        'habit-timer-toggle'
+      );
+      timerBtn.addEventListener('click', () => app.toggleHabitTimer(habit.id, dateKey));
+      container.appendChild(timerBtn);
+      if (running) {
+        const timer = document.createElement('span');
+        timer.className = 'habit-timer';
+        timer.dataset.id = habit.id;
+        timer.setAttribute('role', 'timer');
+        timer.textContent = utils.formatDuration(habitTimers.elapsed(habit.id));
+        container.appendChild(timer);
+      }
+    }
+    return container;
+  },
+  updateHabitTimers() {
+    if (!elements.habitList) return;
+    elements.habitList.querySelectorAll('.habit-timer').forEach(timer => {
+      timer.textContent = utils.formatDuration(habitTimers.elapsed(timer.dataset.id));
+    });
+  },
+  // Dropping on the top or bottom half of another habit places the dragged one before or after it
+  setupHabitDrag(habitItem, habit) {
+    const clearDropMarker = () => habitItem.classList.remove('drop-before', 'drop-after');
+    const dropPosition = e => {
+      const rect = habitItem.getBoundingClientRect();
+      return e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    };
+    habitItem.draggable = true;
+    habitItem.addEventListener('dragstart', (e) => {
+      this.draggedHabitId = habit.id;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', habit.id);
+      habitItem.classList.add('dragging');
+    });
+    habitItem.addEventListener('dragend', () => {
+      this.draggedHabitId = null;
+      habitItem.classList.remove('dragging');
+    });
+    habitItem.addEventListener('dragover', (e) => {
+      if (!this.draggedHabitId || this.draggedHabitId === habit.id) return;
+      e.preventDefault();
+      const position = dropPosition(e);
+      habitItem.classList.toggle('drop-before', position === 'before');
+      habitItem.classList.toggle('drop-after', position === 'after');
+    });
+    habitItem.addEventListener('dragleave', clearDropMarker);
+    habitItem.addEventListener('drop', (e) => {
+      e.preventDefault();
+      clearDropMarker();
+      if (this.draggedHabitId && this.draggedHabitId !== habit.id) {
+        app.moveHabit(this.draggedHabitId, habit.id, dropPosition(e));
+      }
+    });
+  },
+  renderHabitEditor(habit) {
+    const item = document.createElement('li');
+    item.className = 'habit-item habit-editor';
+    item.setAttribute('role', 'listitem');
+    item.dataset.id = habit.id;
+    const form = document.createElement('form');
+    form.className = 'habit-editor-form';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = habit.text;
+    nameInput.maxLength = 200;
+    nameInput.setAttribute('aria-label', 'Habit name');
+    const categoryInput = document.createElement('input');
+    categoryInput.type = 'text';
+    categoryInput.value = habit.category || '';
+    categoryInput.maxLength = 40;
+    categoryInput.placeholder = 'Category (e.g. Mind)';
+    categoryInput.setAttribute('list', 'habitCategoryOptions');
+    categoryInput.setAttribute('aria-label', 'Category');
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = habit.color || DEFAULT_HABIT_COLOR;
+    colorInput.setAttribute('aria-label', 'Color');
+    const iconSelect = document.createElement('select');
+    iconSelect.setAttribute('aria-label', 'Icon');
+    iconSelect.appendChild(new Option('No icon', ''));
+    Object.entries(HABIT_ICONS).forEach(([icon, label]) => iconSelect.appendChild(new Option(label, icon)));
+    iconSelect.value = habit.icon || '';
+    const fields = document.createElement('div');
+    fields.className = 'habit-editor-fields';
+    fields.appendChild(categoryInput);
+    fields.appendChild(iconSelect);
+    fields.appendChild(colorInput);
+    const kind = habitLog.getKind(habit);
+    const goalInput = document.createElement('input');
+    const unitInput = document.createElement('input');
+    if (kind !== 'check') {
+      goalInput.type = 'number';
+      goalInput.min = '1';
+      goalInput.max = String(MAX_HABIT_GOAL);
+      goalInput.value = habit.goal;
+      goalInput.setAttribute('aria-label', kind === 'duration' ? 'Daily goal in minutes' : 'Daily goal');
+      fields.appendChild(goalInput);
+    }
+    if (kind === 'count') {
+      unitInput.type = 'text';
+      unitInput.maxLength = 20;
+      unitInput.value = habit.unit || '';
+      unitInput.placeholder = 'Unit (e.g. glasses)';
+      unitInput.setAttribute('aria-label', 'Unit');
+      fields.appendChild(unitInput);
+    }
+    const actions = document.createElement('div');
+    actions.className = 'entry-editor-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'btn-primary btn-small';
+    saveBtn.textContent = 'Save';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn-secondary btn-small';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => app.cancelEditingHabit());
+    form.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      app.cancelEditingHabit();
+    });
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      // Only a color that was actually picked is saved, so untouched habits keep the default look
+      const colorChanged = colorInput.value !== (habit.color || DEFAULT_HABIT_COLOR);
+      app.updateHabit(habit.id, {
+        text: nameInput.value,
+        category: categoryInput.value,
+        icon: iconSelect.value,
+        color: colorChanged || habit.color ? colorInput.value : '',
+        goal: goalInput.value,
+        unit: unitInput.value
+      });
+    });
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    form.appendChild(nameInput);
+    form.appendChild(fields);
+    form.appendChild(actions);
+    item.appendChild(form);
+    setTimeout(() => nameInput.focus(), 0);
+    return item;
+  },
+  // Status options stay as they are; categories and the category suggestions follow the habits
+  renderHabitFilters(categories) {
+    if (elements.habitFilter) {
+      const existing = elements.habitFilter.querySelector('optgroup');
+      if (existing) existing.remove();
+      if (categories.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'Categories';
+        categories.forEach(category => group.appendChild(new Option(category, `category:${category}`)));
+        elements.habitFilter.appendChild(group);
+      }
+    }
+    if (elements.habitCategoryOptions) {
+      elements.habitCategoryOptions.innerHTML = '';
+      [...new Set([...HABIT_CATEGORIES, ...categories])].forEach(category => {
+        elements.habitCategoryOptions.appendChild(new Option(category));
+      });
+    }
+  },
+  renderHabitProgress(habit) {
+    const todayKey = utils.toDateKey();
+    const { current, best, unit } = habitLog.getStreaks(habit, todayKey);
+    const expanded = state.expandedHeatmaps.has(habit.id);
+    const progress = document.createElement('div');
+    progress.className = 'habit-progress';
+    const streaks = document.createElement('div');
+    streaks.className = 'habit-streaks';
+    const currentStreak = document.createElement('span');
+    currentStreak.className = 'habit-streak';
+    currentStreak.textContent = `🔥 ${current} ${unit}${current === 1 ? '' : 's'}`;
+    currentStreak.title = 'Current streak';
+    const bestStreak = document.createElement('span');
+    bestStreak.className = 'habit-streak';
+    bestStreak.textContent = `🏆 Best ${best}`;
+    bestStreak.title = 'Longest streak';
+    const expandBtn = document.createElement('button');
+    expandBtn.className = 'heatmap-toggle';
+    expandBtn.setAttribute('aria-expanded', expanded);
+    expandBtn.textContent = expanded ? 'Show 12 weeks' : 'Show full year';
+    expandBtn.addEventListener('click', () => {
+      if (expanded) {
+        state.expandedHeatmaps.delete(habit.id);
+      } else {
+        state.expandedHeatmaps.add(habit.id);
+      }
+      app.renderUI();
+    });
+    streaks.appendChild(currentStreak);
+    streaks.appendChild(bestStreak);
+    streaks.appendChild(expandBtn);
+    progress.appendChild(streaks);
+    progress.appendChild(this.renderHeatmap(habit, expanded ? HEATMAP_YEAR_WEEKS : HEATMAP_WEEKS, todayKey));
+    return progress;
+  },
+  renderHeatmap(habit, weeks, todayKey) {
+    const heatmap = document.createElement('div');
+    heatmap.className = 'habit-heatmap';
+    // Start on the Sunday `weeks - 1` weeks back so each column is one calendar week
+    const startKey = utils.addDays(todayKey, -(utils.parseDateKey(todayKey).getDay() + (weeks - 1) * 7));
+    let completedDays = 0;
+    let totalDays = 0;
+    for (let key = startKey; key <= todayKey; key = utils.addDays(key, 1)) {
+      const completed = habitLog.isCompletedOn(habit, key);
+      const cell = document.createElement('span');
+      cell.className = 'heatmap-cell';
+      if (completed) {
+        cell.classList.add('done');
+      } else if (habit.schedule.type === 'weekdays' && !habitLog.isDueOn(habit, key)) {
+        cell.classList.add('off');
+      }
+      cell.title = `${utils.formatDate(utils.parseDateKey(key))}: ${completed ? 'done' : 'not done'}`;
+      heatmap.appendChild(cell);
+      totalDays++;
+      if (completed) completedDays++;
+    }
+    heatmap.setAttribute('role', 'img');
+    heatmap.setAttribute('aria-label', `"${habit.text}" completed on ${completedDays} of the last ${totalDays} days`);
+    return heatmap;
+  },
+  renderJournalEntries(entries, { mood = 'all', tag = 'all', metric = 'all', sort = 'newest', search = '', from = '', to = '' } = {}) {
+    if (!elements.log) return;
+    elements.log.innerHTML = '';
+    const terms = utils.getSearchTerms(search);
+    let filteredEntries = [...entries];
+    if (mood !== 'all') {
+      filteredEntries = filteredEntries.filter(entry => entry.mood === mood);
+    }
+    if (tag !== 'all') {
+      filteredEntries = filteredEntries.filter(entry => (entry.tags || []).includes(tag));
+    }
+    if (metric !== 'all') {
+      filteredEntries = filteredEntries.filter(entry => utils.matchesMetricFilter(entry, metric));
+    }
+    if (from || to) {
+      filteredEntries = filteredEntries.filter(entry => {
+        const dateKey = utils.toDateKey(entry.timestamp);
+        return (!from || dateKey >= from) && (!to || dateKey <= to);
+      });
+    }
+    if (terms.length > 0) {
+      filteredEntries = filteredEntries.filter(entry => {
+        const text = (entry.journal || '').toLowerCase();
+        return terms.every(term => text.includes(term));
+      });
+    }
+    filteredEntries.sort((a, b) => {
+      return sort === 'newest' ? b.timestamp - a.timestamp : a.timestamp - b.timestamp;
+    });
+    if (filteredEntries.length === 0) {
+      let message = 'No journal entries yet. Start by writing about your day!';
+      if (entries.length > 0 && (terms.length > 0 || from || to || tag !== 'all' || metric !== 'all')) {
+        message = 'No entries match your search';
+      } else if (mood !== 'all') {
+        message = `No entries with ${moodScale.getLabel(mood)} mood`;
+      }
+      this.showEmptyState(elements.log, message, 'fas fa-book');
+      return;
+    }
+    filteredEntries.forEach(entry => {
+      const article = state.editingEntryId === entry.id
+        ? this.renderEntryEditor(entry)
+        : this.renderJournalEntry(entry, terms);
+      elements.log.appendChild(article);
+    });
+  },
+  renderJournalEntry(entry, terms = []) {
+    const article = document.createElement('article');
+    article.className = 'log-entry';
+    article.dataset.id = entry.id;
+    const header = document.createElement('header');
+    header.className = 'entry-header';
+    const date = document.createElement('time');
+    date.className = 'entry-date';
+    date.setAttribute('datetime', new Date(entry.timestamp).toISOString());
+    utils.setTextContent(date, `${utils.formatDate(entry.timestamp)} at ${utils.formatTime(entry.timestamp)}`);
+    const mood = document.createElement('span');
+    mood.className = 'entry-mood';
+    mood.textContent = moodScale.describe(entry.mood);
+    mood.style.setProperty('--mood-color', moodScale.getColor(entry.mood));
+    const actions = document.createElement('div');
+    actions.className = 'entry-actions';
+    const editBtn = this.createIconButton('fas fa-pen', 'Edit entry', 'entry-action');
+    editBtn.addEventListener('click', () => app.startEditingEntry(entry.id));
+    const deleteBtn = this.createIconButton('fas fa-trash', 'Delete entry', 'entry-action entry-action-danger');
+    deleteBtn.addEventListener('click', () => app.deleteEntry(entry.id));
+    actions.appendChild(editBtn);
+    actions.appendChild(deleteBtn);
+    const content = document.createElement('div');
+    content.className = 'entry-content';
+    if (entry.journal && entry.journal.trim() !== '') {
+      content.classList.add('markdown-content');
+      content.appendChild(markdown.render(entry.journal, terms));
+    } else {
+      content.textContent = 'No journal content';
+      content.style.fontStyle = 'italic';
+      content.style.color = 'var(--text-light)';
+    }
+    header.appendChild(date);
+    header.appendChild(mood);
+    header.appendChild(actions);
+    article.appendChild(header);
+    article.appendChild(content);
+    if (entry.attachments && entry.attachments.length > 0) {
+      article.appendChild(this.renderEntryAttachments(entry.attachments));
+    }
+    const details = this.renderCheckInDetails(entry);
+    if (details) article.appendChild(details);
+    if (entry.updatedAt) {
+      article.appendChild(this.renderEntryHistory(entry));
+    }
+    return article;
+  },
+  // Thumbnails load from storage after the entry is on screen; photos not on this device are left out
+  renderEntryAttachments(ids) {
+    const gallery = document.createElement('div');
+    gallery.className = 'entry-attachments';
+    ids.forEach(id => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'attachment-thumb';
+      button.setAttribute('aria-label', 'View photo');
+      button.hidden = true;
+      gallery.appendChild(button);
+      attachments.get(id).then(record => {
+        if (!record) return;
+        const img = document.createElement('img');
+        img.src = record.thumbnail;
+        img.alt = '';
+        button.appendChild(img);
+        button.setAttribute('aria-label', `View photo ${record.name || ''}`.trim());
+        button.addEventListener('click', () => this.openImage(record));
+        button.hidden = false;
+      }).catch(error => console.error('Error loading photo:', error));
+    });
+    return gallery;
+  },
+  openImage(record) {
+    if (!elements.imageDialogImg) return;
+    elements.imageDialogImg.src = record.image;
+    elements.imageDialogImg.alt = record.name || 'Attached photo';
+    this.openModal(elements.imageDialog);
+  },
+  closeImage() {
+    this.closeModal(elements.imageDialog);
+    if (elements.imageDialogImg) elements.imageDialogImg.removeAttribute('src');
+  },
+  // Short labels for an entry's optional check-in fields, e.g. "Energy 7/10"
+  describeCheckIn(entry) {
+    const parts = CHECK_IN_SCALES
+      .filter(({ key }) => typeof entry[key] === 'number')
+      .map(({ key, label }) => `${label} ${entry[key]}/10`);
+    if (typeof entry.sleepHours === 'number') parts.push(`Slept ${entry.sleepHours}h`);
+    (entry.tags || []).forEach(tag => parts.push(`#${tag}`));
+    return parts;
+  },
+  renderCheckInDetails(entry) {
+    const stats = this.describeCheckIn({ ...entry, tags: [] });
+    const tags = entry.tags || [];
+    if (stats.length === 0 && tags.length === 0) return null;
+    const details = document.createElement('div');
+    details.className = 'entry-details';
+    stats.forEach(text => {
+      const chip = document.createElement('span');
+      chip.className = 'entry-chip';
+      chip.textContent = text;
+      details.appendChild(chip);
+    });
+    tags.forEach(tag => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'entry-tag';
+      button.textContent = `#${tag}`;
+      button.title = `Show entries tagged #${tag}`;
+      button.addEventListener('click', () => {
+        state.filters.tag = tag;
+        app.applyLogFilters();
+      });
+      details.appendChild(button);
+    });
+    return details;
+  },
+  renderEntryHistory(entry) {
+    const history = Array.isArray(entry.history) ? entry.history : [];
+    const details = document.createElement('details');
+    details.className = 'entry-history';
+    const summary = document.createElement('summary');
+    summary.textContent = `Edited ${utils.formatDate(entry.updatedAt)} at ${utils.formatTime(entry.updatedAt)}`
+      + (history.length > 0 ? ` · ${history.length} earlier version${history.length === 1 ? '' : 's'}` : '');
+    details.appendChild(summary);
+    [...history].reverse().forEach(version => {
+      const item = document.createElement('div');
+      item.className = 'entry-version';
+      const meta = document.createElement('div');
+      meta.className = 'entry-version-meta';
+      meta.textContent = `${moodScale.describe(version.mood)} · saved until ${utils.formatDate(version.replacedAt)} at ${utils.formatTime(version.replacedAt)}`;
+      const text = document.createElement('div');
+      text.className = 'entry-version-text';
+      utils.setTextContent(text, version.journal || 'No journal content');
+      item.appendChild(meta);
+      item.appendChild(text);
+      details.appendChild(item);
+    });
+    return details;
+  },
+  renderEntryEditor(entry) {
+    const form = document.createElement('form');
+    form.className = 'log-entry entry-editor';
+    form.dataset.id = entry.id;
+    const moodSelect = document.createElement('select');
+    moodSelect.setAttribute('aria-label', 'Mood');
+    moodScale.list().forEach(mood => {
+      const option = document.createElement('option');
+      option.value = mood.id;
+      option.textContent = `${mood.emoji} ${mood.label}`;
+      moodSelect.appendChild(option);
+    });
+    if (!moodScale.find(entry.mood)) moodSelect.appendChild(new Option(moodScale.describe(entry.mood), entry.mood));
+    moodSelect.value = entry.mood;
+    const textarea = document.createElement('textarea');
+    textarea.rows = 4;
+    textarea.value = entry.journal || '';
+    textarea.setAttribute('aria-label', 'Journal entry');
+    const actions = document.createElement('div');
+    actions.className = 'entry-editor-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'btn-primary btn-small';
+    saveBtn.textContent = 'Save';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn-secondary btn-small';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => app.cancelEditingEntry());
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      app.updateEntry(entry.id, { mood: moodSelect.value, journal: textarea.value });
+    });
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    form.appendChild(moodSelect);
+    form.appendChild(textarea);
+    form.appendChild(actions);
+    setTimeout(() => textarea.focus(), 0);
+    return form;
+  },
+  createIconButton(iconClass, label, className) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.setAttribute('aria-label', label);
+    button.title = label;
+    const icon = document.createElement('i');
+    icon.className = iconClass;
+    icon.setAttribute('aria-hidden', 'true');
+    button.appendChild(icon);
+    return button;
+  },
+  updateStats(entries, habits) {
+    utils.setTextContent(elements.totalEntries, entries.length);
+    const today = new Date().toDateString();
+    let streak = 0;
+    const sortedEntries = [...entries].sort((a, b) => b.timestamp - a.timestamp);
+    let currentDate = new Date();
+    for (let i = 0; i < sortedEntries.length; i++) {
+      const entryDate = new Date(sortedEntries[i].timestamp).toDateString();
+      const checkDate = new Date(currentDate).toDateString();
+      if (entryDate === checkDate) {
+        streak++;
+        currentDate.setDate(currentDate.getDate() - 1);
+      } else {
+        break;
+      }
+    }
+    utils.setTextContent(elements.currentStreak, streak);
+    // Only habits due today (or already done today) count, so off-days don't drag the rate down
+    const todayKey = utils.toDateKey();
+    const todaysHabits = habits.filter(habit => !habit.archived
+      && (habitLog.isDueOn(habit, todayKey) || habitLog.isCompletedOn(habit, todayKey))
+    );
+    // Count and duration habits add their partial progress towards the goal
+    const progress = todaysHabits.reduce((sum, habit) => sum + habitLog.getProgress(habit, todayKey), 0);
+    const completionRate = todaysHabits.length > 0 ? Math.round((progress / todaysHabits.length) * 100) : 0;
+    utils.setTextContent(elements.completionRate, `${completionRate}%`);
+    utils.updateProgressRing(completionRate);
+    const moodAverage = utils.calculateMoodAverage(entries);
+    utils.setTextContent(elements.moodAverage, moodAverage);
+  },
+  updateGoalControls() {
+    const kind = elements.habitKind ? elements.habitKind.value : 'check';
+    if (elements.habitGoal) {
+      elements.habitGoal.hidden = kind === 'check';
+      elements.habitGoal.setAttribute('aria-label', kind === 'duration' ? 'Daily goal in minutes' : 'Daily goal');
+    }
+    if (elements.habitUnit) elements.habitUnit.hidden = kind !== 'count';
+  },
+  updateScheduleControls() {
+    const type = elements.habitSchedule ? elements.habitSchedule.value : 'daily';
+    if (elements.habitWeekdays) elements.habitWeekdays.hidden = type !== 'weekdays';
+    if (elements.habitTarget) {
+      elements.habitTarget.hidden = type !== 'weekly' && type !== 'monthly';
+      elements.habitTarget.max = type === 'monthly' ? 31 : 7;
+    }
+  },
+  openModal(modal) {
+    if (!modal) return;
+    this.lastFocused = document.activeElement;
+    modal.hidden = false;
+    const focusTarget = modal.querySelector('input, button');
+    if (focusTarget) focusTarget.focus();
+  },
+  closeModal(modal) {
+    if (!modal || modal.hidden) return;
+    modal.hidden = true;
+    if (this.lastFocused && document.contains(this.lastFocused)) this.lastFocused.focus();
+  },
+  showLockScreen() {
+    if (!elements.lockScreen) return;
+    if (elements.appWrapper) elements.appWrapper.inert = true;
+    elements.lockScreen.hidden = false;
+    if (elements.unlockPassphrase) {
+      elements.unlockPassphrase.value = '';
+      elements.unlockPassphrase.focus();
+    }
+    this.setFieldError(elements.unlockError, '');
+  },
+  hideLockScreen() {
+    if (!elements.lockScreen) return;
+    if (elements.appWrapper) elements.appWrapper.inert = false;
+    elements.lockScreen.hidden = true;
+  },
+  setFieldError(element, message) {
+    if (!element) return;
+    element.textContent = message;
+    element.classList.toggle('show', Boolean(message));
+  },
+  updateSecurityDialog() {
+    const enabled = vault.isEnabled();
+    utils.setTextContent(elements.securityStatus, enabled
+      ? `Your journal is encrypted with your passphrase and locks after ${AUTO_LOCK_DELAY / 60000} minutes of inactivity.`
+      : 'Your journal is stored unencrypted in this browser. Set a passphrase to encrypt it and your backups.');
+    if (elements.setPassphraseBtn) elements.setPassphraseBtn.hidden = enabled;
+    if (elements.lockNowBtn) elements.lockNowBtn.hidden = !enabled;
+    if (elements.removePassphraseBtn) elements.removePassphraseBtn.hidden = !enabled;
+    if (elements.lockBtn) {
+      const icon = elements.lockBtn.querySelector('i');
+      if (icon) icon.className = enabled ? 'fas fa-lock' : 'fas fa-lock-open';
+    }
+  },
+  // Resolves with the entered passphrase, or null if the dialog is cancelled
+  requestPassphrase({ title, message = '', confirm = false, minLength = 1 }) {
+    if (this.passphraseRequest) this.closePassphraseDialog(null);
+    return new Promise(resolve => {
+      this.passphraseRequest = { resolve, confirm, minLength };
+      utils.setTextContent(elements.passphraseTitle, title);
+      utils.setTextContent(elements.passphraseMessage, message);
+      if (elements.passphraseInput) {
+        elements.passphraseInput.value = '';
+        elements.passphraseInput.autocomplete = confirm ? 'new-password' : 'current-password';
+      }
+      if (elements.passphraseConfirm) elements.passphraseConfirm.value = '';
+      if (elements.passphraseConfirmGroup) elements.passphraseConfirmGroup.hidden = !confirm;
+      this.setFieldError(elements.passphraseError, '');
+      this.openModal(elements.passphraseDialog);
+    });
+  },
+  submitPassphrase() {
+    const request = this.passphraseRequest;
+    if (!request || !elements.passphraseInput) return;
+    const passphrase = elements.passphraseInput.value;
+    if (passphrase.length < request.minLength) {
+      this.setFieldError(elements.passphraseError, `Use at least ${request.minLength} characters`);
+      return;
+    }
+    if (request.confirm && elements.passphraseConfirm && elements.passphraseConfirm.value !== passphrase) {
+      this.setFieldError(elements.passphraseError, 'Passphrases do not match');
+      return;
+    }
+    this.closePassphraseDialog(passphrase);
+  },
+  closePassphraseDialog(value) {
+    const request = this.passphraseRequest;
+    this.passphraseRequest = null;
+    if (elements.passphraseInput) elements.passphraseInput.value = '';
+    if (elements.passphraseConfirm) elements.passphraseConfirm.value = '';
+    this.closeModal(elements.passphraseDialog);
+    if (request) request.resolve(value);
+  },
+  // Resolves with 'merge' or 'replace', or null if the import is cancelled
+  showImportPreview(summary, invalid, incoming) {
+    if (this.importRequest) this.closeImportPreview(null);
+    return new Promise(resolve => {
+      this.importRequest = { resolve };
+      if (elements.importSummary) {
+        const table = document.createElement('table');
+        table.className = 'import-table';
+        const head = document.createElement('thead');
+        head.innerHTML = '<tr><th scope="col"></th><th scope="col">Entries</th><th scope="col">Habits</th><th scope="col">Moods</th><th scope="col">Reflections</th></tr>';
+        const body = document.createElement('tbody');
+        const stores = ['journalEntries', 'habits', 'moods', 'reflections'];
+        const rows = [
+          ['In backup', ...stores.map(store => incoming[store].length)],
+          ['New', ...stores.map(store => summary[store].added)],
+          ['Updated (newer in backup)', ...stores.map(store => summary[store].updated)],
+          ['Conflicts (newer here, kept)', ...stores.map(store => summary[store].keptLocal)],
+          ['Already up to date', ...stores.map(store => summary[store].unchanged)],
+          ['Invalid (skipped)', ...stores.map(store => invalid[store])]
+        ];
+        rows.forEach(([label, ...counts]) => {
+          const tr = document.createElement('tr');
+          const th = document.createElement('th');
+          th.scope = 'row';
+          th.textContent = label;
+          tr.appendChild(th);
+          counts.forEach(value => {
+            const td = document.createElement('td');
+            td.textContent = value;
+            tr.appendChild(td);
+          });
+          body.appendChild(tr);
+        });
+        table.appendChild(head);
+        table.appendChild(body);
+        elements.importSummary.innerHTML = '';
+        elements.importSummary.appendChild(table);
+      }
+      if (elements.importForm) elements.importForm.elements.importMode.value = 'merge';
+      this.openModal(elements.importDialog);
+    });
+  },
+  closeImportPreview(mode) {
+    const request = this.importRequest;
+    this.importRequest = null;
+    this.closeModal(elements.importDialog);
+    if (request) request.resolve(mode);
+  },
+  // The printable report defaults to the current month; file exports default to everything
+  updateExportRange(format) {
+    if (!elements.exportFrom || !elements.exportTo) return;
+    if (format === 'report') {
+      const today = new Date();
+      elements.exportFrom.value = utils.toDateKey(new Date(today.getFullYear(), today.getMonth(), 1));
+      elements.exportTo.value = utils.toDateKey(new Date(today.getFullYear(), today.getMonth() + 1, 0));
+    } else {
+      elements.exportFrom.value = '';
+      elements.exportTo.value = '';
+    }
+  },
+  updateNotificationStatus() {
+    let status = 'Reminders will appear as banners inside the app while it is open.';
+    let canRequest = false;
+    if (!('Notification' in window)) {
+      status = 'This browser does not support system notifications. ' + status;
+    } else if (Notification.permission === 'granted') {
+      status = 'System notifications are on.';
+    } else if (Notification.permission === 'denied') {
+      status = 'Notifications are blocked in your browser settings. ' + status;
+    } else {
+      canRequest = true;
+    }
+    utils.setTextContent(elements.notificationStatus, status);
+    if (elements.enableNotificationsBtn) elements.enableNotificationsBtn.hidden = !canRequest;
+  },
+  openRemindersDialog(settings, habits) {
+    if (elements.checkInEnabled) elements.checkInEnabled.checked = settings.checkIn.enabled;
+    if (elements.checkInTime) elements.checkInTime.value = settings.checkIn.time;
+    if (elements.quietHoursEnabled) elements.quietHoursEnabled.checked = settings.quietHours.enabled;
+    if (elements.quietStart) elements.quietStart.value = settings.quietHours.start;
+    if (elements.quietEnd) elements.quietEnd.value = settings.quietHours.end;
+    if (elements.snoozeMinutes) elements.snoozeMinutes.value = String(settings.snoozeMinutes);
+    if (elements.habitReminderList) {
+      elements.habitReminderList.innerHTML = '';
+      if (habits.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'help-text';
+        empty.textContent = 'Add a habit to set a reminder for it.';
+        elements.habitReminderList.appendChild(empty);
+      }
+      habits.forEach(habit => {
+        const item = document.createElement('li');
+        item.className = 'habit-reminder';
+        const label = document.createElement('label');
+        label.htmlFor = `reminder-${habit.id}`;
+        label.textContent = habit.text;
+        const input = document.createElement('input');
+        input.type = 'time';
+        input.id = `reminder-${habit.id}`;
+        input.dataset.habitId = habit.id;
+        input.value = habit.reminderTime || '';
+        item.appendChild(label);
+        item.appendChild(input);
+        elements.habitReminderList.appendChild(item);
+      });
+    }
+    this.updateNotificationStatus();
+    this.openModal(elements.remindersDialog);
+  },
+  updateSyncStatus() {
+    const status = sync.describe();
+    utils.setTextContent(elements.syncStatus, status);
+    if (elements.syncNowBtn) elements.syncNowBtn.disabled = !sync.isEnabled() || sync.status === 'syncing';
+    if (elements.syncBtn) {
+      elements.syncBtn.title = status;
+      const icon = elements.syncBtn.querySelector('i');
+      let iconClass = 'fas fa-cloud';
+      if (sync.isEnabled() && sync.status === 'syncing') {
+        iconClass = 'fas fa-rotate fa-spin';
+      } else if (sync.isEnabled() && sync.status === 'error') {
+        iconClass = 'fas fa-triangle-exclamation';
+      } else if (sync.isEnabled() && sync.pending > 0) {
+        iconClass = 'fas fa-cloud-arrow-up';
+      }
+      if (icon) icon.className = iconClass;
+    }
+  },
+  openSyncDialog(settings) {
+    if (elements.syncEnabled) elements.syncEnabled.checked = settings.enabled;
+    if (elements.syncUrl) elements.syncUrl.value = settings.url;
+    if (elements.syncToken) elements.syncToken.value = settings.token;
+    this.setFieldError(elements.syncError, '');
+    this.updateSyncStatus();
+    this.openModal(elements.syncDialog);
+  },
+  // The selector, the hidden form select and the log filter are all built from the mood scale
+  renderMoodControls(moods) {
+    if (elements.moodSelector) {
+      elements.moodSelector.innerHTML = '';
+      moods.forEach(mood => {
+        const option = document.createElement('div');
+        option.className = 'mood-option';
+        option.dataset.value = mood.id;
+        option.setAttribute('role', 'radio');
+        option.style.setProperty('--mood-color', mood.color);
+        const emoji = document.createElement('span');
+        emoji.className = 'mood-emoji';
+        emoji.setAttribute('aria-hidden', 'true');
+        emoji.textContent = mood.emoji;
+        const label = document.createElement('span');
+        label.className = 'mood-label';
+        label.textContent = mood.label;
+        option.appendChild(emoji);
+        option.appendChild(label);
+        elements.moodSelector.appendChild(option);
+      });
+      this.updateMoodOptions(state.selectedMood);
+    }
+    const fillSelect = (select, firstOption, withEmoji) => {
+      if (!select) return;
+      select.innerHTML = '';
+      select.appendChild(firstOption);
+      moods.forEach(mood => {
+        const option = document.createElement('option');
+        option.value = mood.id;
+        option.textContent = withEmoji ? `${mood.emoji} ${mood.label}` : mood.label;
+        select.appendChild(option);
+      });
+    };
+    fillSelect(elements.moodSelect, new Option('Select Mood', ''), false);
+    fillSelect(elements.moodFilter, new Option('All Moods', 'all'), true);
+    if (elements.moodSelect) elements.moodSelect.value = state.selectedMood || '';
+  },
+  // Tag filter and tag autocomplete both list the tags already used in the journal
+  renderCheckInFilters(tags) {
+    if (elements.tagFilter) {
+      elements.tagFilter.innerHTML = '';
+      elements.tagFilter.appendChild(new Option('All Tags', 'all'));
+      tags.forEach(tag => elements.tagFilter.appendChild(new Option(`#${tag}`, tag)));
+    }
+    if (elements.metricFilter && elements.metricFilter.options.length === 0) {
+      elements.metricFilter.appendChild(new Option('Any Check-in', 'all'));
+      Object.entries(METRIC_FILTERS).forEach(([key, { label }]) => {
+        elements.metricFilter.appendChild(new Option(label, key));
+      });
+    }
+    if (elements.tagSuggestions) {
+      elements.tagSuggestions.innerHTML = '';
+      tags.forEach(tag => elements.tagSuggestions.appendChild(new Option(tag)));
+    }
+  },
+  renderDraftTags(tags) {
+    if (!elements.tagList) return;
+    elements.tagList.innerHTML = '';
+    tags.forEach(tag => {
+      const item = document.createElement('li');
+      item.className = 'tag-chip';
+      item.textContent = `#${tag}`;
+      const remove = this.createIconButton('fas fa-times', `Remove tag ${tag}`, 'tag-remove');
+      remove.addEventListener('click', () => app.removeDraftTag(tag));
+      item.appendChild(remove);
+      elements.tagList.appendChild(item);
+    });
+  },
+  async renderDraftAttachments(ids) {
+    if (!elements.attachmentList) return;
+    const records = await Promise.all(ids.map(id => attachments.get(id).catch(() => null)));
+    elements.attachmentList.innerHTML = '';
+    records.forEach((record, index) => {
+      if (!record) return;
+      const id = ids[index];
+      const item = document.createElement('li');
+      item.className = 'attachment-thumb';
+      const img = document.createElement('img');
+      img.src = record.thumbnail;
+      img.alt = record.name || 'Attached photo';
+      const remove = this.createIconButton('fas fa-times', `Remove photo ${record.name || ''}`.trim(), 'attachment-remove');
+      remove.addEventListener('click', () => app.removeDraftAttachment(id));
+      item.appendChild(img);
+      item.appendChild(remove);
+      elements.attachmentList.appendChild(item);
+    });
+    if (elements.addPhotoBtn) elements.addPhotoBtn.disabled = ids.length >= MAX_ATTACHMENTS;
+  },
+  renderJournalPrompt(index) {
+    const prompt = JOURNAL_PROMPTS[index];
+    utils.setTextContent(elements.journalPromptLabel, prompt.label);
+    utils.setTextContent(elements.journalPromptText, prompt.text);
+  },
+  setJournalPreview(showPreview) {
+    if (!elements.journal || !elements.journalPreview) return;
+    elements.journalPreview.innerHTML = '';
+    if (showPreview) {
+      const text = elements.journal.value;
+      if (text.trim()) {
+        elements.journalPreview.appendChild(markdown.render(text));
+      } else {
+        elements.journalPreview.textContent = 'Nothing to preview yet';
+      }
+    }
+    elements.journalPreview.hidden = !showPreview;
+    elements.journal.hidden = showPreview;
+    if (elements.journalPreviewBtn) {
+      elements.journalPreviewBtn.setAttribute('aria-pressed', String(showPreview));
+      elements.journalPreviewBtn.textContent = showPreview ? 'Edit' : 'Preview';
+    }
+    if (elements.journalToolbar) {
+      elements.journalToolbar.querySelectorAll('[data-format]').forEach(button => { button.disabled = showPreview; });
+    }
+  },
+  // Wraps the selection in Markdown (bold, italic, link) or prefixes each selected line (heading, list, quote)
+  applyJournalFormat(textarea, format) {
+    const wraps = { bold: ['**', '**', 'bold text'], italic: ['*', '*', 'italic text'], link: ['[', '](https://)', 'link text'] };
+    const prefixes = { heading: '## ', list: '- ', quote: '> ' };
+    const { selectionStart: start, selectionEnd: end, value } = textarea;
+    if (wraps[format]) {
+      const [before, after, placeholder] = wraps[format];
+      const text = value.slice(start, end) || placeholder;
+      textarea.setRangeText(`${before}${text}${after}`, start, end, 'end');
+      textarea.setSelectionRange(start + before.length, start + before.length + text.length);
+    } else if (prefixes[format]) {
+      const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+      const lines = value.slice(lineStart, end).split('\n').map(line => `${prefixes[format]}${line}`);
+      textarea.setRangeText(lines.join('\n'), lineStart, end, 'end');
+    }
+    textarea.focus();
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+  },
+  updateScaleOutput(slider) {
+    const output = document.getElementById(`${slider.id}-value`);
+    const clear = document.querySelector(`[data-clear="${slider.id}"]`);
+    const isSet = slider.dataset.set === 'true';
+    if (output) output.textContent = isSet ? `${slider.value}/10` : 'Not set';
+    if (clear) clear.hidden = !isSet;
+  },
+  resetCheckInFields() {
+    document.querySelectorAll('[data-scale]').forEach(slider => {
+      delete slider.dataset.set;
+      this.updateScaleOutput(slider);
+    });
+    this.renderDraftTags([]);
+    if (elements.checkInDetails) elements.checkInDetails.open = false;
+  },
+  // The selector follows the ARIA radio group pattern: one tab stop, and the arrow keys move and select together
+  initMoodSelector() {
+    if (!elements.moodSelector) return;
+    elements.moodSelector.addEventListener('click', (e) => {
+      const option = e.target.closest('.mood-option');
+      if (!option) return;
+      this.selectMood(option.getAttribute('data-value'));
+      option.focus();
+      drafts.schedule();
+    });
+    elements.moodSelector.addEventListener('keydown', (e) => {
+      const option = e.target.closest('.mood-option');
+      if (!option || e.altKey || e.ctrlKey || e.metaKey) return;
+      const options = [...elements.moodSelector.querySelectorAll('.mood-option')];
+      const index = options.indexOf(option);
+      const moves = {
+        ArrowRight: index + 1,
+        ArrowDown: index + 1,
+        ArrowLeft: index - 1,
+        ArrowUp: index - 1,
+        Home: 0,
+        End: options.length - 1,
+        ' ': index
+      };
+      if (!(e.key in moves)) return;
+      e.preventDefault();
+      const target = options[(moves[e.key] + options.length) % options.length];
+      this.selectMood(target.dataset.value);
+      target.focus();
+      drafts.schedule();
+    });
+  },
+  // Only the checked mood (or the first one when none is) can be reached with Tab
+  updateMoodOptions(moodValue) {
+    if (!elements.moodSelector) return;
+    const options = [...elements.moodSelector.querySelectorAll('.mood-option')];
+    const hasChecked = options.some(opt => opt.dataset.value === moodValue);
+    options.forEach((opt, index) => {
+      const checked = opt.dataset.value === moodValue;
+      opt.classList.toggle('selected', checked);
+      opt.setAttribute('aria-checked', String(checked));
+      opt.tabIndex = checked || (!hasChecked && index === 0) ? 0 : -1;
+    });
+  },
+  focusMoodSelector() {
+    if (!elements.moodSelector) return;
+    const option = elements.moodSelector.querySelector('.mood-option[tabindex="0"]');
+    if (option) option.focus();
+  },
+  setMoodError(message) {
+    const errorElement = document.getElementById('mood-error');
+    if (errorElement) {
+      errorElement.classList.toggle('show', Boolean(message));
+      errorElement.textContent = message;
+    }
+    if (elements.moodSelector) {
+      if (message) {
+        elements.moodSelector.setAttribute('aria-invalid', 'true');
+      } else {
+        elements.moodSelector.removeAttribute('aria-invalid');
+      }
+    }
+  },
+  selectMood(moodValue) {
+    if (!elements.moodSelector) return;
+    this.updateMoodOptions(moodValue);
+    if (elements.moodSelect) elements.moodSelect.value = moodValue;
+    state.selectedMood = moodValue;
+    this.setMoodError('');
+  },
+  // Where journal entries are on screen: the list, or the selected day in the calendar
+  entryContainer() {
+    return state.filters.view === 'calendar' ? elements.calendarDay : elements.log;
+  },
+  // Id of the item after (or else before) the given one, so focus has somewhere to go once it is removed
+  neighbourId(container, selector, id) {
+    const items = container ? [...container.querySelectorAll(selector)] : [];
+    const index = items.findIndex(item => item.dataset.id === id);
+    if (index === -1) return null;
+    const neighbour = items[index + 1] || items[index - 1];
+    return neighbour ? neighbour.dataset.id : null;
+  },
+  // Focuses a control inside a rendered item (or the item itself), or `fallback` when it isn't on screen
+  focusItem(container, selector, id, control = null, fallback = null) {
+    const item = container && id ? [...container.querySelectorAll(selector)].find(node => node.dataset.id === id) : null;
+    let target = fallback;
+    if (item) {
+      target = control ? item.querySelector(control) : item;
+      if (target === item && !item.hasAttribute('tabindex')) item.tabIndex = -1;
+    }
+    if (target) target.focus();
+    return Boolean(item);
+  },
+  async openBackupsDialog() {
+    if (!elements.snapshotList) return;
+    elements.snapshotList.innerHTML = '';
+    this.openModal(elements.backupsDialog);
+    const list = await snapshots.list();
+    if (list.length === 0) {
+      this.showEmptyState(elements.snapshotList, 'No snapshots yet. One is saved automatically each day you use the app.', 'fas fa-clock-rotate-left');
+      return;
+    }
+    list.forEach(snapshot => {
+      const item = document.createElement('li');
+      item.className = 'snapshot-item';
+      const info = document.createElement('div');
+      const title = document.createElement('div');
+      title.className = 'snapshot-title';
+      title.textContent = snapshots.describe(snapshot);
+      const counts = document.createElement('div');
+      counts.className = 'help-text';
+      const { journalEntries, habits } = snapshot.counts;
+      counts.textContent = `${journalEntries} entr${journalEntries === 1 ? 'y' : 'ies'} · ${habits} habit${habits === 1 ? '' : 's'}`;
+      info.appendChild(title);
+      info.appendChild(counts);
+      const actions = document.createElement('div');
+      actions.className = 'snapshot-actions';
+      const restoreBtn = document.createElement('button');
+      restoreBtn.type = 'button';
+      restoreBtn.className = 'btn-primary btn-small';
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.addEventListener('click', () => app.restoreSnapshot(snapshot));
+      const downloadBtn = this.createIconButton('fas fa-download', 'Download snapshot', 'entry-action');
+      downloadBtn.addEventListener('click', () => app.downloadSnapshot(snapshot));
+      actions.appendChild(restoreBtn);
+      actions.appendChild(downloadBtn);
+      item.appendChild(info);
+      item.appendChild(actions);
+      elements.snapshotList.appendChild(item);
+    });
+  },
+  openMoodsDialog(moods, entries) {
+    if (elements.moodList) {
+      elements.moodList.innerHTML = '';
+      moods.forEach(mood => {
+        const usage = entries.filter(entry => entry.mood === mood.id).length;
+        elements.moodList.appendChild(this.renderMoodRow(mood, usage));
+      });
+    }
+    this.setFieldError(elements.moodsError, '');
+    this.openModal(elements.moodsDialog);
+  },
+  // One editable row of the mood scale. Removing a mood that entries use asks where to move them.
+  renderMoodRow(mood, usage = 0) {
+    const row = document.createElement('li');
+    row.className = 'mood-row';
+    row.dataset.id = mood.id;
+    const fields = document.createElement('div');
+    fields.className = 'mood-row-fields';
+    const emoji = document.createElement('input');
+    emoji.type = 'text';
+    emoji.className = 'mood-row-emoji';
+    emoji.name = 'emoji';
+    emoji.maxLength = 16;
+    emoji.value = mood.emoji;
+    emoji.setAttribute('aria-label', 'Emoji');
+    const label = document.createElement('input');
+    label.type = 'text';
+    label.name = 'label';
+    label.maxLength = 40;
+    label.value = mood.label;
+    label.setAttribute('aria-label', 'Mood name');
+    const score = document.createElement('input');
+    score.type = 'number';
+    score.className = 'mood-row-score';
+    score.name = 'score';
+    score.step = 'any';
+    score.value = mood.score;
+    score.setAttribute('aria-label', 'Score');
+    score.title = 'Score used for averages and trends (higher is better)';
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.name = 'color';
+    color.value = mood.color;
+    color.setAttribute('aria-label', 'Color');
+    const upBtn = this.createIconButton('fas fa-arrow-up', 'Move up', 'entry-action');
+    upBtn.addEventListener('click', () => {
+      if (row.previousElementSibling) row.parentNode.insertBefore(row, row.previousElementSibling);
+      upBtn.focus();
+    });
+    const downBtn = this.createIconButton('fas fa-arrow-down', 'Move down', 'entry-action');
+    downBtn.addEventListener('click', () => {
+      if (row.nextElementSibling) row.parentNode.insertBefore(row.nextElementSibling, row);
+      downBtn.focus();
+    });
+    const removeBtn = this.createIconButton('fas fa-trash', 'Remove mood', 'entry-action entry-action-danger');
+    [emoji, label, score, color, upBtn, downBtn, removeBtn].forEach(element => fields.appendChild(element));
+    row.appendChild(fields);
+    removeBtn.addEventListener('click', () => {
+      if (usage === 0) {
+        row.remove();
+        return;
+      }
+      row.classList.add('removed');
+      fields.hidden = true;
+      const remap = document.createElement('div');
+      remap.className = 'mood-row-remap';
+      const text = document.createElement('label');
+      text.textContent = `Remove "${label.value || mood.label}" and move its ${usage} entr${usage === 1 ? 'y' : 'ies'} to`;
+      const target = document.createElement('select');
+      target.name = 'remapTo';
+      text.appendChild(target);
+      [...row.parentNode.querySelectorAll('.mood-row:not(.removed)')].forEach(other => {
+        target.appendChild(new Option(
+          `${other.querySelector('[name="emoji"]').value} ${other.querySelector('[name="label"]').value}`,
+          other.dataset.id
+        ));
+      });
+      const keepBtn = document.createElement('button');
+      keepBtn.type = 'button';
+      keepBtn.className = 'btn-secondary btn-small';
+      keepBtn.textContent = 'Keep';
+      keepBtn.addEventListener('click', () => {
+        row.classList.remove('removed');
+        remap.remove();
+        fields.hidden = false;
+        removeBtn.focus();
+      });
+      remap.appendChild(text);
+      remap.appendChild(keepBtn);
+      row.appendChild(remap);
+      target.focus();
+    });
+    return row;
+  }
+};
+
+// Mood scale module
+// Entries store a mood id; everything shown or computed about a mood comes from its definition here
+const moodScale = {
+  list() {
+    const moods = state.moods.length > 0 ? state.moods : DEFAULT_MOODS;
+    return [...moods].sort((a, b) => a.order - b.order);
+  },
+  find(id) {
+    return this.list().find(mood => mood.id === id) || null;
+  },
+  // Entries can reference moods missing from this scale, e.g. after importing someone else's backup
+  getLabel(id) {
+    const mood = this.find(id);
+    return mood ? mood.label : id;
+  },
+  getEmoji(id) {
+    const mood = this.find(id);
+    return mood ? mood.emoji : '😐';
+  },
+  getScore(id) {
+    const mood = this.find(id);
+    return mood ? mood.score : null;
+  },
+  // Lowest and highest score on the scale; scores are user-defined, so charts can't assume a range
+  getScoreRange() {
+    const scores = this.list().map(mood => mood.score).filter(Number.isFinite);
+    return scores.length > 0 ? { min: Math.min(...scores), max: Math.max(...scores) } : { min: 0, max: 1 };
+  },
+  getColor(id) {
+    const mood = this.find(id);
+    return mood ? mood.color : '#9e9e9e';
+  },
+  describe(id) {
+    return `${this.getEmoji(id)} ${this.getLabel(id)}`;
+  },
+  // `replacements` maps removed mood ids to the id their entries move to. Remapped entries count as
+  // edited, so per-record merges (import, tab sync) keep them over copies that still use the old id.
+  remapEntries(entries, replacements) {
+    const remap = id => replacements[id] || id;
+    const now = Date.now();
+    return entries.map(entry => {
+      const history = Array.isArray(entry.history) ? entry.history : [];
+      if (!replacements[entry.mood] && !history.some(version => replacements[version.mood])) return entry;
+      const remapped = { ...entry, mood: remap(entry.mood), updatedAt: now };
+      if (entry.history) {
+        remapped.history = history.map(version => ({ ...version, mood: remap(version.mood) }));
+      }
+      return remapped;
+    });
+  }
+};
+
+// Snapshot module
+// Keeps a snapshot of the data from the first time the app is opened each day, plus "safety" snapshots
+// taken right before clearing, importing or restoring. Older daily snapshots thin out to one per week.
+const snapshots = {
+  labels: {
+    daily: 'Daily snapshot',
+    'before-clear': 'Before clearing data',
+    'before-import': 'Before import',
+    'before-restore': 'Before restoring a snapshot'
+  },
+  async list() {
+    const list = await storage.getSnapshots();
+    return list.sort((a, b) => b.createdAt - a.createdAt);
+  },
+  async take(kind) {
+    const data = { journalEntries: state.journalEntries, habits: state.habits, moods: state.moods, reflections: state.reflections };
+    if (data.journalEntries.length === 0 && data.habits.length === 0) return;
+    const now = Date.now();
+    await storage.putSnapshot({
+      id: kind === 'daily' ? `daily-${utils.toDateKey()}` : `${kind}-${now}`,
+      kind,
+      createdAt: now,
+      counts: { journalEntries: data.journalEntries.length, habits: data.habits.length },
+      data
+    });
+    await this.prune();
+  },
+  // Snapshot failures should never block the action they protect, so they're only logged
+  async takeSafely(kind) {
+    try {
+      await this.take(kind);
+    } catch (error) {
+      console.error('Error taking snapshot:', error);
+    }
+  },
+  async ensureDaily() {
+    try {
+      const list = await storage.getSnapshots();
+      if (!list.some(snapshot => snapshot.id === `daily-${utils.toDateKey()}`)) await this.take('daily');
+    } catch (error) {
+      console.error('Error taking daily snapshot:', error);
+    }
+  },
+  // Ids to keep: daily snapshots from the last week, the newest one of each of the last few weeks
+  // and the most recent safety snapshots
+  retained(list, todayKey = utils.toDateKey()) {
+    const keep = new Set();
+    const daily = list
+      .filter(snapshot => snapshot.kind === 'daily')
+      .sort((a, b) => b.id.localeCompare(a.id));
+    const dailyCutoff = utils.addDays(todayKey, -(SNAPSHOT_DAILY_KEEP - 1));
+    const weeks = new Set();
+    daily.forEach(snapshot => {
+      const dateKey = snapshot.id.slice('daily-'.length);
+      if (dateKey >= dailyCutoff) keep.add(snapshot.id);
+      const week = habitLog.getPeriodKey(dateKey, 'weekly');
+      if (!weeks.has(week) && weeks.size < SNAPSHOT_WEEKLY_KEEP) {
+        weeks.add(week);
+        keep.add(snapshot.id);
+      }
+    });
+    list
+      .filter(snapshot => snapshot.kind !== 'daily')
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, SNAPSHOT_SAFETY_KEEP)
+      .forEach(snapshot => keep.add(snapshot.id));
+    return keep;
+  },
+  async prune() {
+    const list = await storage.getSnapshots();
+    const keep = this.retained(list);
+    await storage.deleteSnapshots(list.filter(snapshot => !keep.has(snapshot.id)).map(snapshot => snapshot.id));
+  },
+  // Used when the passphrase changes: snapshots are read with the old key and written back with the new one
+  async readAll() {
+    const list = await storage.getSnapshots();
+    return Promise.all(list.map(async ({ payload, ...snapshot }) => ({
+      ...snapshot,
+      data: await storage.readSnapshot({ payload, version: snapshot.version })
+    })));
+  },
+  async writeAll(list) {
+    for (const snapshot of list) {
+      await storage.putSnapshot(snapshot);
+    }
+  },
+  describe(snapshot) {
+    return `${this.labels[snapshot.kind] || 'Snapshot'} · ${utils.formatDate(snapshot.createdAt)} at ${utils.formatTime(snapshot.createdAt)}`;
+  }
+};
+
+// Tab sync module
+// Every write tells other open tabs what it wrote. A record write makes each tab re-read storage and
+// merge what it finds into its own `state` record by record: the copy changed last wins, and a record
+// that vanished was deleted elsewhere. A meta write only has the module that keeps that key re-read it.
+const tabSync = {
+  channel: null,
+  refreshing: false,
+  pending: false,
+  pendingMeta: new Set(),
+  deferred: false,
+  init() {
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel(TAB_SYNC_CHANNEL);
+      this.channel.addEventListener('message', (e) => this.refresh(e.data));
+      return;
+    }
+    // Without BroadcastChannel, localStorage writes from other tabs still fire `storage` events.
+    // Records share the main key; each meta key is stored as `${LEGACY_STORAGE_KEY}.${key}`.
+    window.addEventListener('storage', (e) => {
+      if (e.key === LEGACY_STORAGE_KEY) {
+        this.refresh({ stores: commandHistory.stores });
+      } else if (e.key && e.key.startsWith(`${LEGACY_STORAGE_KEY}.`)) {
+        this.refresh({ meta: e.key.slice(LEGACY_STORAGE_KEY.length + 1) });
+      }
+    });
+  },
+  afterWrite(change = {}) {
+    if (this.channel) this.channel.postMessage({ type: 'changed', ...change });
+    if (this.deferred && storage.activeWrites === 0) {
+      this.deferred = false;
+      this.refresh();
+    }
+  },
+  // Keeps local order so habits don't jump around; records this tab changed more recently are kept and re-saved
+  mergeList(localList, storedList) {
+    const localIndex = new Map(localList.map((record, index) => [record.id, index]));
+    const resave = [];
+    const merged = storedList.map(record => {
+      const local = localList[localIndex.get(record.id)];
+      if (local && utils.getRecordTime(local) > utils.getRecordTime(record)) {
+        resave.push(local);
+        return local;
+      }
+      return record;
+    });
+    const position = record => (localIndex.has(record.id) ? localIndex.get(record.id) : Infinity);
+    merged.sort((a, b) => position(a) - position(b));
+    return { merged, resave };
+  },
+  // A changed passphrase means re-reading everything, as does a message that names nothing
+  async refresh(change = {}) {
+    if (change.meta && change.meta !== 'encryption') {
+      this.pendingMeta.add(change.meta);
+    } else {
+      this.pending = true;
+    }
+    if (this.refreshing) return;
+    this.refreshing = true;
+    try {
+      while (this.pending || this.pendingMeta.size > 0) {
+        const keys = [...this.pendingMeta];
+        this.pendingMeta.clear();
+        if (this.pending) {
+          this.pending = false;
+          await this.pull();
+        } else {
+          await this.reloadMeta(keys);
+        }
+      }
+    } catch (error) {
+      console.error('Error syncing with another tab:', error);
+    } finally {
+      this.refreshing = false;
+    }
+  },
+  // Meta not listed here (drafts, snapshots, photos) is read from storage whenever it's used
+  async reloadMeta(keys) {
+    if (keys.includes('reminders') || keys.includes('reminderLog')) await reminders.load();
+    if (keys.some(key => ['sync', 'syncQueue', 'syncState'].includes(key))) await sync.load();
+    if (keys.includes('habitTimers')) {
+      await habitTimers.load();
+      if (!vault.isLocked()) app.renderUnlessEditing();
+    }
+  },
+  async pull() {
+    const previousConfig = JSON.stringify(vault.config);
+    await vault.load();
+    // Passphrase set, removed or replaced in another tab: the key this tab holds no longer applies
+    if (JSON.stringify(vault.config) !== previousConfig) {
+      vault.lock();
+      ui.updateSecurityDialog();
+    }
+    await reminders.load();
+    await sync.load();
+    await habitTimers.load();
+    if (vault.isLocked()) {
+      if (elements.lockScreen && elements.lockScreen.hidden) app.showLocked();
+      return;
+    }
+    if (elements.lockScreen && !elements.lockScreen.hidden) ui.hideLockScreen();
+    // A write from this tab that is still in flight isn't in storage yet; merging now would drop it
+    const generation = storage.writeGeneration;
+    const stored = await storage.loadAll();
+    if (storage.activeWrites > 0) {
+      this.deferred = true;
+      return;
+    }
+    if (storage.writeGeneration !== generation) {
+      this.pending = true;
+      return;
+    }
+    const resave = [];
+    commandHistory.stores.forEach(store => {
+      const result = this.mergeList(state[store], stored[store]);
+      state[store] = store === 'habits' ? result.merged.map(habit => habitLog.normalize(habit)) : result.merged;
+      result.resave.forEach(record => resave.push({ store, record }));
+    });
+    for (const { store, record } of resave) {
+      await storage.putRecord(store, record);
+    }
+    app.renderUnlessEditing();
+  }
+};
+
+// Server sync module
+// Optional two-way sync with a server the user runs, so the same journal can be used on several devices.
+// Every local write queues `{ store, id, updatedAt }` (one item per record, however often it changes);
+// a sync pulls the server's changes since the last cursor, then pushes the queued records.
+//
+// Adapters move changes to and from one kind of server. Add one with `sync.adapters[name] = adapter`:
+//   pull(settings, cursor) -> { changes, cursor }  changes since `cursor`, or everything when it is null
+//   push(settings, changes) -> resolves once the server has stored the changes
+// A change is `{ store, id, updatedAt, deleted, record }`, with `record` null when `deleted` is true.
+// `updatedAt` is when the change was made on its device. Conflicts resolve per record: the later change
+// wins, on the server and here. Adapters throw an error with `offline: true` when the server can't be
+// reached; the queue is kept and sent on the next attempt.
+const sync = {
+  settings: DEFAULT_SYNC_SETTINGS,
+  status: 'idle',
+  error: '',
+  pending: 0,
+  lastSyncedAt: null,
+  running: false,
+  timer: null,
+  validators: {
+    journalEntries: 'validateEntry',
+    habits: 'validateHabit',
+    moods: 'validateMood',
+    reflections: 'validateReflection'
+  },
+  adapters: {
+    // Reference adapter for a plain JSON endpoint at `settings.url`:
+    //   GET  {url}/changes?since={cursor}  -> 200 { changes: [...], cursor }
+    //   POST {url}/changes  { changes: [...] } -> 2xx
+    // The server keeps the change with the latest `updatedAt` for each store and id, deletions included,
+    // and hands out an opaque cursor (e.g. a sequence number) marking how far a client has read.
+    // docs/sync-protocol.md has the details; tools/mock-sync-server.js implements it for local testing.
+    rest: {
+      async request(settings, path, options = {}) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (settings.token) headers.Authorization = `Bearer ${settings.token}`;
+        let response;
+        try {
+          response = await fetch(`${settings.url.replace(/\/+$/, '')}${path}`, { ...options, headers, cache: 'no-store' });
+        } catch (error) {
+          const offline = new Error('Could not reach the sync server');
+          offline.offline = true;
+          throw offline;
+        }
+        if (response.status === 401 || response.status === 403) {
+          throw new Error('The sync server rejected the access token');
+        }
+        if (!response.ok) throw new Error(`The sync server responded with ${response.status}`);
+        return response.status === 204 ? null : response.json();
+      },
+      async pull(settings, cursor) {
+        const query = cursor === null ? '' : `?since=${encodeURIComponent(cursor)}`;
+        const body = await this.request(settings, `/changes${query}`);
+        if (!body || !Array.isArray(body.changes)) throw new Error('Unexpected response from the sync server');
+        return { changes: body.changes, cursor: body.cursor === undefined ? cursor : body.cursor };
+      },
+      async push(settings, changes) {
+        await this.request(settings, '/changes', { method: 'POST', body: JSON.stringify({ changes }) });
+      }
+    }
+  },
+  async load() {
+    this.settings = { ...DEFAULT_SYNC_SETTINGS, ...((await storage.getMeta('sync')) || {}) };
+    const syncState = (await storage.getMeta('syncState')) || {};
+    this.lastSyncedAt = syncState.lastSyncedAt || null;
+    this.pending = Object.keys(await this.getQueue()).length;
+    ui.updateSyncStatus();
+  },
+  start() {
+    window.addEventListener('online', () => this.schedule(0));
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.schedule(0);
+    });
+    setInterval(() => this.run(), SYNC_INTERVAL);
+  },
+  isEnabled() {
+    return Boolean(this.settings.enabled && this.settings.url);
+  },
+  key(store, id) {
+    return `${store}:${id}`;
+  },
+  async getQueue() {
+    return (await storage.getMeta('syncQueue')) || {};
+  },
+  async saveQueue(queue) {
+    this.pending = Object.keys(queue).length;
+    await storage.setMeta('syncQueue', queue);
+  },
+  // What `storage.writeAll` is about to replace, so it can queue only the records that differ
+  async readCurrent() {
+    if (!this.isEnabled() || vault.isLocked()) return null;
+    try {
+      return await storage.loadAll();
+    } catch (error) {
+      console.warn('Could not read data to queue for sync:', error);
+      return null;
+    }
+  },
+  async enqueue(changes, time = Date.now()) {
+    if (!this.isEnabled() || changes.length === 0) return;
+    const queue = await this.getQueue();
+    changes.forEach(({ store, id, updatedAt }) => {
+      queue[this.key(store, id)] = { store, id, updatedAt: updatedAt || time };
+    });
+    await this.saveQueue(queue);
+    ui.updateSyncStatus();
+    this.schedule();
+  },
+  // Drops queue items that were sent or overruled, unless the record changed again in the meantime
+  async dequeue(items) {
+    const queue = await this.getQueue();
+    items.forEach(item => {
+      const key = this.key(item.store, item.id);
+      if (queue[key] && queue[key].updatedAt === item.updatedAt) delete queue[key];
+    });
+    await this.saveQueue(queue);
+  },
+  // Queues every local record at its own timestamp so the first sync merges both sides instead of overwriting
+  async reset() {
+    const data = await storage.loadAll();
+    const queue = {};
+    commandHistory.stores.forEach(store => {
+      data[store].forEach(record => {
+        queue[this.key(store, record.id)] = { store, id: record.id, updatedAt: utils.getRecordTime(record) };
+      });
+    });
+    await this.saveQueue(queue);
+    await storage.setMeta('syncState', { url: this.settings.url, cursor: null, lastSyncedAt: null });
+    this.lastSyncedAt = null;
+  },
+  async saveSettings(settings) {
+    const restart = settings.enabled && (!this.isEnabled() || settings.url !== this.settings.url);
+    this.settings = settings;
+    await storage.setMeta('sync', settings);
+    if (restart) await this.reset();
+    this.status = 'idle';
+    this.error = '';
+    ui.updateSyncStatus();
+    if (this.isEnabled()) this.schedule(0);
+  },
+  schedule(delay = SYNC_DELAY) {
+    clearTimeout(this.timer);
+    if (this.isEnabled()) this.timer = setTimeout(() => this.run(), delay);
+  },
+  setStatus(status, error = '') {
+    this.status = status;
+    this.error = error;
+    ui.updateSyncStatus();
+  },
+  async run() {
+    clearTimeout(this.timer);
+    if (!this.isEnabled() || this.running) return;
+    if (vault.isLocked()) {
+      this.setStatus('locked');
+      return;
+    }
+    if (!navigator.onLine) {
+      this.setStatus('offline');
+      return;
+    }
+    this.running = true;
+    this.setStatus('syncing');
+    try {
+      // Only one tab talks to the server at a time; the others pick the result up through `tabSync`
+      if (navigator.locks) {
+        await navigator.locks.request(SYNC_LOCK, { ifAvailable: true }, lock => (lock ? this.exchange() : null));
+      } else {
+        await this.exchange();
+      }
+      this.setStatus('idle');
+    } catch (error) {
+      if (error.offline) {
+        this.setStatus('offline');
+      } else {
+        console.error('Sync error:', error);
+        this.setStatus('error', error.message);
+      }
+    } finally {
+      this.running = false;
+    }
+  },
+  async exchange() {
+    const adapter = this.adapters[this.settings.adapter];
+    if (!adapter) throw new Error(`Unknown sync adapter "${this.settings.adapter}"`);
+    const syncState = (await storage.getMeta('syncState')) || {};
+    const cursor = syncState.url === this.settings.url && syncState.cursor !== undefined ? syncState.cursor : null;
+    const remote = await adapter.pull(this.settings, cursor);
+    const applied = await this.applyRemote(remote.changes);
+    await storage.setMeta('syncState', { ...syncState, url: this.settings.url, cursor: remote.cursor });
+    const outgoing = await this.collect(await this.getQueue());
+    if (outgoing.length > 0) {
+      await adapter.push(this.settings, outgoing);
+      await this.dequeue(outgoing);
+    }
+    this.lastSyncedAt = Date.now();
+    await storage.setMeta('syncState', { url: this.settings.url, cursor: remote.cursor, lastSyncedAt: this.lastSyncedAt });
+    if (applied > 0) {
+      app.renderUnlessEditing();
+      ui.showNotification(`Synced ${applied} change${applied === 1 ? '' : 's'} from your other devices`, 'info', 3000);
+    }
+  },
+  // Turns queue items into changes carrying the current copy of each record, or a deletion
+  async collect(queue) {
+    const data = await storage.loadAll();
+    return Object.values(queue).map(({ store, id, updatedAt }) => {
+      const record = (data[store] || []).find(item => item.id === id) || null;
+      return { store, id, updatedAt, deleted: !record, record };
+    });
+  },
+  // Writes the server's changes to storage and state, skipping records changed here more recently
+  async applyRemote(changes) {
+    const queue = await this.getQueue();
+    const data = await storage.loadAll();
+    const settled = [];
+    let applied = 0;
+    for (const change of changes) {
+      const validator = change && this.validators[change.store];
+      if (!validator || typeof change.id !== 'string' || !importer.isTimestamp(change.updatedAt)) continue;
+      const record = change.deleted ? null : importer[validator](change.record);
+      if (!change.deleted && (!record || record.id !== change.id)) continue;
+      const queued = queue[this.key(change.store, change.id)];
+      if (queued && queued.updatedAt > change.updatedAt) continue;
+      if (queued) settled.push(queued);
+      const current = data[change.store].find(item => item.id === change.id) || null;
+      if (JSON.stringify(current && importer[validator](current)) === JSON.stringify(record)) continue;
+      if (record) {
+        await storage.putRecord(change.store, record, { fromSync: true });
+      } else {
+        await storage.deleteRecord(change.store, change.id, { fromSync: true });
+      }
+      this.updateState(change.store, change.id, record);
+      applied++;
+    }
+    if (settled.length > 0) await this.dequeue(settled);
+    return applied;
+  },
+  updateState(store, id, record) {
+    const list = state[store].filter(item => item.id !== id);
+    if (record) {
+      const value = store === 'habits' ? habitLog.normalize(record) : record;
+      const index = state[store].findIndex(item => item.id === id);
+      list.splice(index === -1 ? list.length : index, 0, value);
+    }
+    state[store] = list;
+  },
+  describe() {
+    if (!this.isEnabled()) return 'Sync is off. Your data stays on this device.';
+    const waiting = this.pending > 0 ? ` ${this.pending} change${this.pending === 1 ? '' : 's'} waiting to upload.` : '';
+    if (this.status === 'syncing') return 'Syncing…';
+    if (this.status === 'offline') return `Offline. Changes will sync when the server is reachable again.${waiting}`;
+    if (this.status === 'locked') return `Unlock your journal to sync.${waiting}`;
+    if (this.status === 'error') return `Sync failed: ${this.error}${waiting}`;
+    if (!this.lastSyncedAt) return `Not synced yet.${waiting}`;
+    return `Last synced ${utils.formatDate(this.lastSyncedAt)} at ${utils.formatTime(this.lastSyncedAt)}.${waiting}`;
+  }
+};
+
+// Command history module
+// Each command is a list of record changes `{ store, id, index, before, after }`, where `before` or
+// `after` is null when the record didn't exist. Undo writes the `before` side back, redo the `after` side.
+// History only lives in memory, so it is lost on reload and cleared when the app locks.
+const commandHistory = {
+  stores: ['journalEntries', 'habits', 'moods', 'reflections'],
+  undoStack: [],
+  redoStack: [],
+  busy: false,
+  change(store, before, after, index = null) {
+    return {
+      store,
+      id: (before || after).id,
+      index,
+      before: before ? utils.cloneRecord(before) : null,
+      after: after ? utils.cloneRecord(after) : null
+    };
+  },
+  // Changes needed to get from one `{ journalEntries, habits, moods, reflections }` dataset to another
+  diff(before, after) {
+    const changes = [];
+    this.stores.forEach(store => {
+      const beforeList = before[store] || [];
+      const afterList = after[store] || [];
+      const afterById = new Map(afterList.map(record => [record.id, record]));
+      const beforeIds = new Set();
+      beforeList.forEach((record, index) => {
+        beforeIds.add(record.id);
+        const next = afterById.get(record.id) || null;
+        if (!next || JSON.stringify(next) !== JSON.stringify(record)) {
+          changes.push(this.change(store, record, next, index));
+        }
+      });
+      afterList.forEach(record => {
+        if (!beforeIds.has(record.id)) changes.push(this.change(store, null, record));
+      });
+    });
+    return changes;
+  },
+  record(label, changes) {
+    if (changes.length === 0) return;
+    this.undoStack.push({ label, changes });
+    if (this.undoStack.length > UNDO_LIMIT) this.undoStack.shift();
+    this.redoStack = [];
+  },
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  },
+  async apply(changes, side) {
+    const next = {};
+    this.stores.forEach(store => { next[store] = [...state[store]]; });
+    changes.forEach(change => {
+      const list = next[change.store];
+      const record = change[side] ? utils.cloneRecord(change[side]) : null;
+      const index = list.findIndex(item => item.id === change.id);
+      if (record && index !== -1) {
+        list[index] = record;
+      } else if (record) {
+        list.splice(change.index === null ? list.length : Math.min(change.index, list.length), 0, record);
+      } else if (index !== -1) {
+        list.splice(index, 1);
+      }
+    });
+    // Single record changes are written in place; bigger ones (clear, import) rewrite everything at once
+    if (changes.length === 1) {
+      const [change] = changes;
+      if (change[side]) {
+        await storage.putRecord(change.store, next[change.store].find(item => item.id === change.id));
+      } else {
+        await storage.deleteRecord(change.store, change.id);
+      }
+    } else {
+      await storage.replaceAll(next);
+    }
+    Object.assign(state, next);
+  },
+  async undo() {
+    await this.step(this.undoStack, this.redoStack, 'before', 'Undid', { label: 'Redo', onClick: () => this.redo() });
+  },
+  async redo() {
+    await this.step(this.redoStack, this.undoStack, 'after', 'Redid', { label: 'Undo', onClick: () => this.undo() });
+  },
+  async step(from, to, side, verb, action) {
+    if (this.busy) return;
+    const command = from.pop();
+    if (!command) {
+      ui.showNotification(`Nothing to ${verb === 'Undid' ? 'undo' : 'redo'}`, 'info', 2000);
+      return;
+    }
+    this.busy = true;
+    try {
+      await this.apply(command.changes, side);
+    } catch (error) {
+      from.push(command);
+      app.handleStorageError(error, `Could not ${verb === 'Undid' ? 'undo' : 'redo'} that change. Please try again.`);
+      return;
+    } finally {
+      this.busy = false;
+    }
+    to.push(command);
+    state.editingEntryId = null;
+    state.editingHabitId = null;
+    app.renderUI();
+    ui.showNotification(`${verb}: ${command.label}`, 'info', 6000, action);
+  }
+};
+
+// Dashboard module
+const dashboard = {
+  getPeriodKey(dateKey, granularity) {
+    if (granularity === 'monthly') return dateKey.slice(0, 7);
+    if (granularity === 'weekly') return habitLog.getPeriodKey(dateKey, 'weekly');
+    return dateKey;
+  },
+  formatPeriod(periodKey, granularity) {
+    if (granularity === 'monthly') {
+      return utils.parseDateKey(`${periodKey}-01`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+    const label = utils.parseDateKey(periodKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return granularity === 'weekly' ? `Week of ${label}` : label;
+  },
+  aggregateMood(entries, granularity = 'daily') {
+    const groups = new Map();
+    entries.forEach(entry => {
+      const key = this.getPeriodKey(utils.toDateKey(entry.timestamp), granularity);
+      const score = moodScale.getScore(entry.mood);
+      if (score === null) return;
+      const group = groups.get(key) || { key, sum: 0, count: 0 };
+      group.sum += score;
+      group.count++;
+      groups.set(key, group);
+    });
+    return [...groups.values()]
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .slice(-TREND_MAX_POINTS)
+      .map(group => ({
+        key: group.key,
+        label: this.formatPeriod(group.key, granularity),
+        average: group.sum / group.count,
+        count: group.count
+      }));
+  },
+  moodDistribution(entries) {
+    const counts = {};
+    entries.forEach(entry => {
+      counts[entry.mood] = (counts[entry.mood] || 0) + 1;
+    });
+    return Object.entries(counts)
+      .map(([mood, count]) => ({ mood, count, share: count / entries.length }))
+      .sort((a, b) => b.count - a.count);
+  },
+  // Compares the average mood of days a habit was done with days it was due but skipped
+  habitCorrelation(entries, habits) {
+    const dailyMood = new Map();
+    entries.forEach(entry => {
+      const score = moodScale.getScore(entry.mood);
+      if (score === null) return;
+      const key = utils.toDateKey(entry.timestamp);
+      const day = dailyMood.get(key) || { sum: 0, count: 0 };
+      day.sum += score;
+      day.count++;
+      dailyMood.set(key, day);
+    });
+    return habits.map(habit => {
+      const done = { sum: 0, count: 0 };
+      const skipped = { sum: 0, count: 0 };
+      dailyMood.forEach((day, key) => {
+        if (habit.createdAt && key < utils.toDateKey(habit.createdAt)) return;
+        const average = day.sum / day.count;
+        if (habitLog.isCompletedOn(habit, key)) {
+          done.sum += average;
+          done.count++;
+        } else if (habitLog.isDueOn(habit, key)) {
+          skipped.sum += average;
+          skipped.count++;
+        }
+      });
+      return {
+        habit,
+        done: done.count > 0 ? done.sum / done.count : null,
+        doneDays: done.count,
+        skipped: skipped.count > 0 ? skipped.sum / skipped.count : null,
+        skippedDays: skipped.count
+      };
+    });
+  },
+  checkInAverages(entries) {
+    const fields = [...CHECK_IN_SCALES, { key: 'sleepHours', label: 'Sleep' }];
+    return fields.map(({ key, label }) => {
+      const values = entries.map(entry => entry[key]).filter(value => typeof value === 'number');
+      return {
+        key,
+        label,
+        average: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+        count: values.length
+      };
+    });
+  },
+  // Most used tags with the average mood score of the entries carrying them
+  tagSummary(entries, limit = 8) {
+    return utils.collectTags(entries).slice(0, limit).map(tag => {
+      const tagged = entries.filter(entry => (entry.tags || []).includes(tag));
+      const average = utils.calculateMoodAverage(tagged);
+      return { tag, count: tagged.length, average };
+    });
+  },
+  renderCheckIns(container, rows) {
+    if (!container) return;
+    const usable = rows.filter(row => row.count > 0);
+    if (usable.length === 0) {
+      ui.showEmptyState(container, 'Add energy, stress or sleep to a check-in to see averages', 'fas fa-sliders-h');
+      return;
+    }
+    const table = document.createElement('table');
+    table.className = 'correlation-table';
+    const head = document.createElement('thead');
+    head.innerHTML = '<tr><th scope="col">Measure</th><th scope="col">Average</th><th scope="col">Entries</th></tr>';
+    const body = document.createElement('tbody');
+    usable.forEach(row => {
+      const tr = document.createElement('tr');
+      const name = document.createElement('th');
+      name.scope = 'row';
+      name.textContent = row.label;
+      const average = document.createElement('td');
+      average.textContent = row.key === 'sleepHours' ? `${row.average.toFixed(1)}h` : `${row.average.toFixed(1)} / 10`;
+      const count = document.createElement('td');
+      count.textContent = row.count;
+      tr.appendChild(name);
+      tr.appendChild(average);
+      tr.appendChild(count);
+      body.appendChild(tr);
+    });
+    table.appendChild(head);
+    table.appendChild(body);
+    container.innerHTML = '';
+    container.appendChild(table);
+  },
+  renderTags(container, rows) {
+    if (!container) return;
+    if (rows.length === 0) {
+      ui.showEmptyState(container, 'Tag your entries (e.g. #work) to compare them', 'fas fa-tags');
+      return;
+    }
+    const table = document.createElement('table');
+    table.className = 'correlation-table';
+    const head = document.createElement('thead');
+    head.innerHTML = '<tr><th scope="col">Tag</th><th scope="col">Entries</th><th scope="col">Avg. mood</th></tr>';
+    const body = document.createElement('tbody');
+    rows.forEach(row => {
+      const tr = document.createElement('tr');
+      const name = document.createElement('th');
+      name.scope = 'row';
+      name.textContent = `#${row.tag}`;
+      const count = document.createElement('td');
+      count.textContent = row.count;
+      const average = document.createElement('td');
+      average.textContent = row.average;
+      tr.appendChild(name);
+      tr.appendChild(count);
+      tr.appendChild(average);
+      body.appendChild(tr);
+    });
+    table.appendChild(head);
+    table.appendChild(body);
+    container.innerHTML = '';
+    container.appendChild(table);
+  },
+  createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  },
+  renderTrendChart(container, points) {
+    if (!container) return;
+    if (points.length === 0) {
+      ui.showEmptyState(container, 'Log a few moods to see your trend', 'fas fa-chart-line');
+      return;
+    }
+    const width = 600;
+    const height = 220;
+    const padding = { top: 16, right: 16, bottom: 32, left: 40 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const x = index => padding.left + (points.length === 1 ? plotWidth / 2 : (index / (points.length - 1)) * plotWidth);
+    // Averages of entries whose mood was later rescored can fall outside the current scale, so they widen it
+    const range = moodScale.getScoreRange();
+    let min = Math.min(range.min, ...points.map(point => point.average));
+    let max = Math.max(range.max, ...points.map(point => point.average));
+    if (min === max) {
+      min -= 1;
+      max += 1;
+    }
+    const y = value => padding.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+    const svg = this.createSvgElement('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      class: 'trend-chart',
+      role: 'img',
+      'aria-label': `Mood trend over ${points.length} periods`
+    });
+    [min, (min + max) / 2, max].forEach(value => {
+      svg.appendChild(this.createSvgElement('line', {
+        x1: padding.left, x2: width - padding.right, y1: y(value), y2: y(value), class: 'chart-grid'
+      }));
+      const label = this.createSvgElement('text', { x: padding.left - 8, y: y(value) + 4, class: 'chart-label', 'text-anchor': 'end' });
+      label.textContent = Number(value.toFixed(1));
+      svg.appendChild(label);
+    });
+    const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(point.average)}`).join(' ');
+    svg.appendChild(this.createSvgElement('path', { d: path, class: 'chart-line' }));
+    points.forEach((point, index) => {
+      const dot = this.createSvgElement('circle', { cx: x(index), cy: y(point.average), r: 4, class: 'chart-dot' });
+      const title = this.createSvgElement('title');
+      title.textContent = `${point.label}: ${point.average.toFixed(1)} (${point.count} entr${point.count === 1 ? 'y' : 'ies'})`;
+      dot.appendChild(title);
+      svg.appendChild(dot);
+    });
+    [0, Math.floor((points.length - 1) / 2), points.length - 1]
+      .filter((index, position, list) => list.indexOf(index) === position)
+      .forEach(index => {
+        const label = this.createSvgElement('text', { x: x(index), y: height - 8, class: 'chart-label', 'text-anchor': 'middle' });
+        label.textContent = points[index].label;
+        svg.appendChild(label);
+      });
+    container.innerHTML = '';
+    container.appendChild(svg);
+  },
+  renderDistribution(container, distribution) {
+    if (!container) return;
+    if (distribution.length === 0) {
+      ui.showEmptyState(container, 'No moods recorded yet', 'fas fa-chart-bar');
+      return;
+    }
+    const list = document.createElement('ul');
+    list.className = 'distribution-list';
+    distribution.forEach(({ mood, count, share }) => {
+      const item = document.createElement('li');
+      item.className = 'distribution-item';
+      const label = document.createElement('span');
+      label.className = 'distribution-label';
+      label.textContent = moodScale.describe(mood);
+      const bar = document.createElement('span');
+      bar.className = 'distribution-bar';
+      const fill = document.createElement('span');
+      fill.className = 'distribution-fill';
+      fill.style.width = `${Math.round(share * 100)}%`;
+      fill.style.background = moodScale.getColor(mood);
+      bar.appendChild(fill);
+      const value = document.createElement('span');
+      value.className = 'distribution-value';
+      value.textContent = `${count} (${Math.round(share * 100)}%)`;
+      item.appendChild(label);
+      item.appendChild(bar);
+      item.appendChild(value);
+      list.appendChild(item);
+    });
+    container.innerHTML = '';
+    container.appendChild(list);
+  },
+  renderCorrelation(container, rows) {
+    if (!container) return;
+    const usable = rows.filter(row => row.done !== null || row.skipped !== null);
+    if (usable.length === 0) {
+      ui.showEmptyState(container, 'Track habits and moods on the same days to compare them', 'fas fa-link');
+      return;
+    }
+    const table = document.createElement('table');
+    table.className = 'correlation-table';
+    const head = document.createElement('thead');
+    head.innerHTML = '<tr><th scope="col">Habit</th><th scope="col">Done</th><th scope="col">Skipped</th><th scope="col">Difference</th></tr>';
+    const body = document.createElement('tbody');
+    const format = (value, days) => value === null ? '–' : `${value.toFixed(1)} (${days}d)`;
+    usable.forEach(row => {
+      const tr = document.createElement('tr');
+      const name = document.createElement('th');
+      name.scope = 'row';
+      name.textContent = row.habit.text;
+      const done = document.createElement('td');
+      done.textContent = format(row.done, row.doneDays);
+      const skipped = document.createElement('td');
+      skipped.textContent = format(row.skipped, row.skippedDays);
+      const diff = document.createElement('td');
+      if (row.done !== null && row.skipped !== null) {
+        const delta = row.done - row.skipped;
+        diff.textContent = `${delta > 0 ? '+' : ''}${delta.toFixed(1)}`;
+        diff.className = delta > 0 ? 'positive' : delta < 0 ? 'negative' : '';
+      } else {
+        diff.textContent = '–';
+      }
+      tr.appendChild(name);
+      tr.appendChild(done);
+      tr.appendChild(skipped);
+      tr.appendChild(diff);
+      body.appendChild(tr);
+    });
+    table.appendChild(head);
+    table.appendChild(body);
+    container.innerHTML = '';
+    container.appendChild(table);
+  },
+  render(entries, habits, granularity) {
+    this.renderTrendChart(elements.moodTrendChart, this.aggregateMood(entries, granularity));
+    this.renderDistribution(elements.moodDistribution, this.moodDistribution(entries));
+    this.renderCorrelation(elements.moodCorrelation, this.habitCorrelation(entries, habits));
+    this.renderCheckIns(elements.checkInSummary, this.checkInAverages(entries));
+    this.renderTags(elements.tagInsights, this.tagSummary(entries));
+  }
+};
+
+// Calendar module
+// Month view of the journal. Each day is tinted with the mood closest to that day's average and shows a dot
+// per habit that was due or done; selecting a day lists its entries and offers a back-dated entry.
+const calendar = {
+  // Whole weeks from Sunday to Saturday covering the month, like the heatmap columns
+  getDays(month) {
+    const first = `${month}-01`;
+    const last = utils.addDays(utils.addMonths(first, 1), -1);
+    const end = utils.addDays(habitLog.getPeriodKey(last, 'weekly'), 6);
+    const days = [];
+    for (let key = habitLog.getPeriodKey(first, 'weekly'); key <= end; key = utils.addDays(key, 1)) days.push(key);
+    return days;
+  },
+  groupEntries(entries) {
+    const byDay = new Map();
+    entries.forEach(entry => {
+      const key = utils.toDateKey(entry.timestamp);
+      byDay.set(key, [...(byDay.get(key) || []), entry]);
+    });
+    byDay.forEach(list => list.sort((a, b) => a.timestamp - b.timestamp));
+    return byDay;
+  },
+  dayMood(dayEntries) {
+    const scores = dayEntries.map(entry => moodScale.getScore(entry.mood)).filter(score => score !== null);
+    if (scores.length === 0) return null;
+    const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return moodScale.list().reduce((closest, mood) =>
+      Math.abs(mood.score - average) < Math.abs(closest.score - average) ? mood : closest
+    );
+  },
+  habitDots(habits, dateKey) {
+    if (dateKey > state.today) return [];
+    return habits
+      .filter(habit => !habit.createdAt || utils.toDateKey(habit.createdAt) <= dateKey)
+      .map(habit => ({ habit, done: habitLog.isCompletedOn(habit, dateKey) }))
+      .filter(({ habit, done }) => done || (!habit.archived && habitLog.isDueOn(habit, dateKey)));
+  },
+  describeDay(dateKey, dayEntries, mood, dots) {
+    const parts = [utils.formatDate(utils.parseDateKey(dateKey))];
+    if (dayEntries.length > 0) {
+      parts.push(`${dayEntries.length} entr${dayEntries.length === 1 ? 'y' : 'ies'}`);
+      if (mood) parts.push(`mostly ${mood.label}`);
+    }
+    if (dots.length > 0) parts.push(`${dots.filter(dot => dot.done).length} of ${dots.length} habits done`);
+    return parts.join(', ');
+  },
+  renderDay(dateKey, dayEntries, habits) {
+    const { month, selected } = state.calendar;
+    const mood = this.dayMood(dayEntries);
+    const dots = this.habitDots(habits, dateKey);
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'calendar-day';
+    button.dataset.date = dateKey;
+    button.tabIndex = dateKey === selected ? 0 : -1;
+    button.setAttribute('aria-label', this.describeDay(dateKey, dayEntries, mood, dots));
+    button.setAttribute('aria-pressed', String(dateKey === selected));
+    if (dateKey === state.today) button.setAttribute('aria-current', 'date');
+    button.classList.toggle('outside', dateKey.slice(0, 7) !== month);
+    button.classList.toggle('future', dateKey > state.today);
+    if (mood) {
+      button.classList.add('has-mood');
+      button.style.setProperty('--mood-color', mood.color);
+    }
+    const date = document.createElement('span');
+    date.className = 'calendar-date';
+    date.textContent = utils.parseDateKey(dateKey).getDate();
+    button.appendChild(date);
+    if (mood) {
+      const emoji = document.createElement('span');
+      emoji.className = 'calendar-emoji';
+      emoji.textContent = mood.emoji;
+      button.appendChild(emoji);
+    }
+    if (dots.length > 0) {
+      const dotList = document.createElement('span');
+      dotList.className = 'calendar-dots';
+      dots.slice(0, CALENDAR_MAX_DOTS).forEach(({ habit, done }) => {
+        const dot = document.createElement('span');
+        dot.className = `calendar-dot${done ? ' done' : ''}`;
+        dot.style.setProperty('--habit-color', habit.color || DEFAULT_HABIT_COLOR);
+        dotList.appendChild(dot);
+      });
+      if (dots.length > CALENDAR_MAX_DOTS) {
+        const more = document.createElement('span');
+        more.className = 'calendar-more';
+        more.textContent = `+${dots.length - CALENDAR_MAX_DOTS}`;
+        dotList.appendChild(more);
+      }
+      button.appendChild(dotList);
+    }
+    const cell = document.createElement('div');
+    cell.setAttribute('role', 'gridcell');
+    cell.appendChild(button);
+    return cell;
+  },
+  renderGrid(byDay, habits) {
+    const grid = elements.calendarGrid;
+    grid.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'calendar-row calendar-weekdays';
+    header.setAttribute('role', 'row');
+    WEEKDAY_NAMES.forEach(name => {
+      const cell = document.createElement('div');
+      cell.setAttribute('role', 'columnheader');
+      cell.textContent = name;
+      header.appendChild(cell);
+    });
+    grid.appendChild(header);
+    const days = this.getDays(state.calendar.month);
+    for (let index = 0; index < days.length; index += 7) {
+      const row = document.createElement('div');
+      row.className = 'calendar-row';
+      row.setAttribute('role', 'row');
+      days.slice(index, index + 7).forEach(key => row.appendChild(this.renderDay(key, byDay.get(key) || [], habits)));
+      grid.appendChild(row);
+    }
+  },
+  renderDetails(dateKey, dayEntries) {
+    const panel = elements.calendarDay;
+    panel.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'calendar-day-header';
+    const title = document.createElement('h3');
+    title.textContent = utils.formatDate(utils.parseDateKey(dateKey));
+    header.appendChild(title);
+    if (dateKey <= state.today && state.addingEntryDate !== dateKey) {
+      const addBtn = document.createElement('button');
+      addBtn.type = 'button';
+      addBtn.className = 'btn-secondary btn-small';
+      addBtn.innerHTML = '<i class="fas fa-plus" aria-hidden="true"></i> Add entry for this day';
+      addBtn.addEventListener('click', () => app.startAddingEntry(dateKey));
+      header.appendChild(addBtn);
+    }
+    panel.appendChild(header);
+    if (state.addingEntryDate === dateKey) panel.appendChild(this.renderEntryForm(dateKey));
+    if (dayEntries.length === 0) {
+      if (state.addingEntryDate !== dateKey) {
+        const empty = document.createElement('p');
+        empty.className = 'help-text';
+        empty.textContent = dateKey > state.today ? 'This day hasn\'t happened yet.' : 'No entries for this day.';
+        panel.appendChild(empty);
+      }
+      return;
+    }
+    [...dayEntries].reverse().forEach(entry => {
+      panel.appendChild(state.editingEntryId === entry.id ? ui.renderEntryEditor(entry) : ui.renderJournalEntry(entry));
+    });
+  },
+  // Back-dated entries are saved at the chosen time on that day; it defaults to the current time of day
+  renderEntryForm(dateKey) {
+    const form = document.createElement('form');
+    form.className = 'log-entry entry-editor calendar-entry-form';
+    const fields = document.createElement('div');
+    fields.className = 'calendar-entry-fields';
+    const moodSelect = document.createElement('select');
+    moodSelect.setAttribute('aria-label', 'Mood');
+    moodSelect.required = true;
+    moodSelect.appendChild(new Option('Select Mood', ''));
+    moodScale.list().forEach(mood => moodSelect.appendChild(new Option(`${mood.emoji} ${mood.label}`, mood.id)));
+    const time = document.createElement('input');
+    time.type = 'time';
+    time.setAttribute('aria-label', 'Time');
+    time.value = new Date().toTimeString().slice(0, 5);
+    fields.appendChild(moodSelect);
+    fields.appendChild(time);
+    const textarea = document.createElement('textarea');
+    textarea.rows = 4;
+    textarea.setAttribute('aria-label', `Journal entry for ${utils.formatDate(utils.parseDateKey(dateKey))}`);
+    textarea.placeholder = 'What happened that day?';
+    const actions = document.createElement('div');
+    actions.className = 'entry-editor-actions';
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.className = 'btn-primary btn-small';
+    saveBtn.textContent = 'Save';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.className = 'btn-secondary btn-small';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => app.cancelAddingEntry());
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      app.addEntryForDay(dateKey, { mood: moodSelect.value, time: time.value, journal: textarea.value });
+    });
+    form.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        app.cancelAddingEntry();
+      }
+    });
+    actions.appendChild(saveBtn);
+    actions.appendChild(cancelBtn);
+    form.appendChild(fields);
+    form.appendChild(textarea);
+    form.appendChild(actions);
+    setTimeout(() => moodSelect.focus(), 0);
+    return form;
+  },
+  render(entries, habits) {
+    if (!elements.logCalendar || !elements.calendarGrid || !elements.calendarDay) return;
+    if (!state.calendar.selected) state.calendar.selected = state.today;
+    if (!state.calendar.month) state.calendar.month = state.calendar.selected.slice(0, 7);
+    const { month, selected } = state.calendar;
+    utils.setTextContent(elements.calendarTitle,
+      utils.parseDateKey(`${month}-01`).toLocaleDateString('en-US', { month: 'long', year: 'numeric' }));
+    if (elements.calendarNext) elements.calendarNext.disabled = month >= state.today.slice(0, 7);
+    const byDay = this.groupEntries(entries);
+    this.renderGrid(byDay, habits);
+    this.renderDetails(selected, byDay.get(selected) || []);
+  },
+  // Moves the selection, switching months when it leaves the one shown, and keeps keyboard focus on it
+  select(dateKey, focus = false) {
+    state.calendar.selected = dateKey;
+    state.calendar.month = dateKey.slice(0, 7);
+    if (state.addingEntryDate && state.addingEntryDate !== dateKey) state.addingEntryDate = null;
+    app.renderUI();
+    if (focus && elements.calendarGrid) {
+      const button = elements.calendarGrid.querySelector(`[data-date="${dateKey}"]`);
+      if (button) button.focus();
+    }
+  },
+  handleKeydown(e) {
+    const button = e.target.closest('.calendar-day');
+    if (!button) return;
+    const key = button.dataset.date;
+    const moves = {
+      ArrowLeft: () => utils.addDays(key, -1),
+      ArrowRight: () => utils.addDays(key, 1),
+      ArrowUp: () => utils.addDays(key, -7),
+      ArrowDown: () => utils.addDays(key, 7),
+      Home: () => habitLog.getPeriodKey(key, 'weekly'),
+      End: () => utils.addDays(habitLog.getPeriodKey(key, 'weekly'), 6),
+      PageUp: () => this.shiftMonth(key, -1),
+      PageDown: () => this.shiftMonth(key, 1)
+    };
+    if (!moves[e.key]) return;
+    e.preventDefault();
+    this.select(moves[e.key](), true);
+  },
+  // Same day of the month in another month, clamped to that month's length
+  shiftMonth(dateKey, months) {
+    const first = utils.addMonths(dateKey, months);
+    const last = utils.addDays(utils.addMonths(first, 1), -1);
+    const day = `${first.slice(0, 8)}${dateKey.slice(8)}`;
+    return day > last ? last : day;
+  }
+};
+
+// Review module
+// Weekly and monthly summaries computed from the local data on every render; nothing here is stored
+// except the reflection note the user writes for a period.
+const review = {
+  // First and last day of the week (Sunday to Saturday) or month containing `dateKey`
+  getRange(period, dateKey) {
+    if (period === 'monthly') {
+      const start = `${dateKey.slice(0, 7)}-01`;
+      return { start, end: utils.addDays(utils.addMonths(start, 1), -1) };
+    }
+    const start = habitLog.getPeriodKey(dateKey, 'weekly');
+    return { start, end: utils.addDays(start, 6) };
+  },
+  shift(period, start, steps) {
+    return period === 'monthly' ? utils.addMonths(start, steps) : utils.addDays(start, steps * 7);
+  },
+  current() {
+    const { period, start } = state.review;
+    return { period, start: start || this.getRange(period, state.today).start };
+  },
+  getId(period, start) {
+    return `${period}-${start}`;
+  },
+  describe(period, start) {
+    if (period === 'monthly') {
+      return utils.parseDateKey(start).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    }
+    const format = key => utils.parseDateKey(key).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return `${format(start)} – ${format(this.getRange(period, start).end)}`;
+  },
+  // Only days up to today count, so the current period isn't judged on days that haven't happened yet
+  summarize(period, start, entries, habits, today = state.today) {
+    const { end } = this.getRange(period, start);
+    const days = [];
+    for (let key = start; key <= end && key <= today; key = utils.addDays(key, 1)) days.push(key);
+    const periodEntries = entries.filter(entry => {
+      const key = utils.toDateKey(entry.timestamp);
+      return key >= start && key <= end;
+    });
+    const dailyScores = new Map();
+    periodEntries.forEach(entry => {
+      const score = moodScale.getScore(entry.mood);
+      if (score === null) return;
+      const key = utils.toDateKey(entry.timestamp);
+      dailyScores.set(key, [...(dailyScores.get(key) || []), score]);
+    });
+    const dayAverages = [...dailyScores.entries()]
+      .map(([key, scores]) => ({ key, average: scores.reduce((sum, score) => sum + score, 0) / scores.length }))
+      .sort((a, b) => b.average - a.average || a.key.localeCompare(b.key));
+    const scores = [...dailyScores.values()].flat();
+    const habitRows = habits
+      .map(habit => {
+        const createdKey = habit.createdAt ? utils.toDateKey(habit.createdAt) : '';
+        const tracked = days.filter(key => key >= createdKey);
+        const done = tracked.filter(key => habitLog.isCompletedOn(habit, key)).length;
+        const due = tracked.filter(key => habitLog.isCompletedOn(habit, key) || (!habit.archived && habitLog.isDueOn(habit, key))).length;
+        return { habit, done, due, rate: due > 0 ? done / due : null };
+      })
+      .filter(row => row.due > 0);
+    const totalDue = habitRows.reduce((sum, row) => sum + row.due, 0);
+    return {
+      period,
+      start,
+      end,
+      days: days.length,
+      entries: periodEntries.length,
+      daysJournaled: new Set(periodEntries.map(entry => utils.toDateKey(entry.timestamp))).size,
+      average: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+      moods: dashboard.moodDistribution(periodEntries).slice(0, 3),
+      best: dayAverages.length > 1 ? dayAverages[0] : null,
+      worst: dayAverages.length > 1 ? dayAverages[dayAverages.length - 1] : null,
+      habits: habitRows,
+      completion: totalDue > 0 ? habitRows.reduce((sum, row) => sum + row.done, 0) / totalDue : null,
+      words: this.topWords(periodEntries)
+    };
+  },
+  topWords(entries, limit = REVIEW_TOP_WORDS) {
+    const counts = new Map();
+    entries.forEach(entry => {
+      // Link targets are Markdown syntax, not words the user wrote
+      const text = (entry.journal || '').toLowerCase().replace(/\]\([^)]*\)/g, ' ');
+      (text.match(/\p{L}[\p{L}'’]*/gu) || []).forEach(match => {
+        const word = match.replace(/’/g, "'").replace(/'+$/, '');
+        if (word.length < 3 || STOP_WORDS.has(word)) return;
+        counts.set(word, (counts.get(word) || 0) + 1);
+      });
+    });
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, limit)
+      .map(([word, count]) => ({ word, count }));
+  },
+  formatChange(current, previous, format) {
+    if (current === null || previous === null) return '';
+    const delta = current - previous;
+    if (Math.abs(delta) < 1e-9) return 'same as before';
+    return `${delta > 0 ? '+' : '−'}${format(Math.abs(delta))}`;
+  },
+  renderSection(title, content) {
+    const card = document.createElement('div');
+    card.className = 'dashboard-card review-card';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    card.appendChild(heading);
+    card.appendChild(content);
+    return card;
+  },
+  renderOverview(summary, previous) {
+    const list = document.createElement('dl');
+    list.className = 'review-stats';
+    const percent = value => `${Math.round(value * 100)}%`;
+    const rows = [
+      ['Days journaled', `${summary.daysJournaled} of ${summary.days}`,
+        this.formatChange(summary.daysJournaled, previous.daysJournaled, value => `${value} day${value === 1 ? '' : 's'}`)],
+      ['Entries', summary.entries, this.formatChange(summary.entries, previous.entries, value => String(value))],
+      ['Average mood', summary.average === null ? '–' : summary.average.toFixed(1),
+        this.formatChange(summary.average, previous.average, value => value.toFixed(1))],
+      ['Habit completion', summary.completion === null ? '–' : percent(summary.completion),
+        this.formatChange(summary.completion, previous.completion, value => `${Math.round(value * 100)} pts`)]
+    ];
+    const comparedTo = summary.period === 'monthly' ? 'last month' : 'last week';
+    rows.forEach(([label, value, change]) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      if (change) {
+        const note = document.createElement('span');
+        note.className = 'review-change';
+        note.textContent = change === 'same as before' ? ` (same as ${comparedTo})` : ` (${change} vs. ${comparedTo})`;
+        detail.appendChild(note);
+      }
+      list.appendChild(term);
+      list.appendChild(detail);
+    });
+    return this.renderSection('At a glance', list);
+  },
+  renderMoods(summary) {
+    const list = document.createElement('ul');
+    list.className = 'review-list';
+    summary.moods.forEach(({ mood, count }) => {
+      const item = document.createElement('li');
+      item.textContent = `${moodScale.describe(mood)} · ${count} time${count === 1 ? '' : 's'}`;
+      list.appendChild(item);
+    });
+    const format = ({ key, average }) => `${utils.formatDate(utils.parseDateKey(key))} · ${average.toFixed(1)}`;
+    if (summary.best) {
+      const best = document.createElement('li');
+      best.textContent = `Best day: ${format(summary.best)}`;
+      const worst = document.createElement('li');
+      worst.textContent = `Hardest day: ${format(summary.worst)}`;
+      list.appendChild(best);
+      list.appendChild(worst);
+    }
+    return this.renderSection('Moods', list);
+  },
+  renderHabits(summary) {
+    const table = document.createElement('table');
+    table.className = 'correlation-table';
+    const head = document.createElement('thead');
+    head.innerHTML = '<tr><th scope="col">Habit</th><th scope="col">Done</th><th scope="col">Rate</th></tr>';
+    const body = document.createElement('tbody');
+    summary.habits.forEach(row => {
+      const tr = document.createElement('tr');
+      const name = document.createElement('th');
+      name.scope = 'row';
+      name.textContent = row.habit.text;
+      const done = document.createElement('td');
+      done.textContent = `${row.done} / ${row.due}`;
+      const rate = document.createElement('td');
+      rate.textContent = `${Math.round(row.rate * 100)}%`;
+      tr.appendChild(name);
+      tr.appendChild(done);
+      tr.appendChild(rate);
+      body.appendChild(tr);
+    });
+    table.appendChild(head);
+    table.appendChild(body);
+    return this.renderSection('Habits', table);
+  },
+  renderWords(summary) {
+    const list = document.createElement('ul');
+    list.className = 'review-words';
+    summary.words.forEach(({ word, count }) => {
+      const item = document.createElement('li');
+      item.className = 'entry-chip';
+      item.textContent = `${word} ×${count}`;
+      list.appendChild(item);
+    });
+    return this.renderSection('Words you used most', list);
+  },
+  render(entries, habits, reflections) {
+    if (!elements.reviewSummary) return;
+    const { period, start } = this.current();
+    const currentStart = this.getRange(period, state.today).start;
+    const summary = this.summarize(period, start, entries, habits);
+    const previous = this.summarize(period, this.shift(period, start, -1), entries, habits);
+    if (elements.reviewPeriod) elements.reviewPeriod.value = period;
+    utils.setTextContent(elements.reviewTitle, this.describe(period, start));
+    if (elements.reviewNext) elements.reviewNext.disabled = start >= currentStart;
+    elements.reviewSummary.innerHTML = '';
+    if (summary.entries === 0 && summary.habits.length === 0) {
+      this.renderNote(reflections, period, start);
+      ui.showEmptyState(elements.reviewSummary, `Nothing logged this ${period === 'monthly' ? 'month' : 'week'}`, 'fas fa-calendar-check');
+      return;
     }
-    filteredEntries.forEach(entry => {
-      const article = document.createElement('article');
-      article.className = 'log-entry';
-      const header = document.createElement('header');
-      header.className = 'entry-header';
-      const date = document.createElement('time');
-      date.className = 'entry-date';
-      date.setAttribute('datetime', new Date(entry.timestamp).toISOString());
-      utils.setTextContent(date, `${utils.formatDate(entry.timestamp)} at ${utils.formatTime(entry.timestamp)}`);
-      const mood = document.createElement('span');
-      mood.className = 'entry-mood';
-      const moodEmoji = utils.getMoodEmoji(entry.mood);
-      mood.textContent = `${moodEmoji} ${entry.mood}`;
-      const content = document.createElement('div');
-      content.className = 'entry-content';
-      if (entry.journal && entry.journal.trim() !== '') {
-        utils.setTextContent(content, entry.journal);
-      } else {
-        content.textContent = 'No journal content';
-        content.style.fontStyle = 'italic';
-        content.style.color = 'var(--text-light)';
-      }
-      header.appendChild(date);
-      header.appendChild(mood);
-      article.appendChild(header);
-      article.appendChild(content);
-      elements.log.appendChild(article);
+    elements.reviewSummary.appendChild(this.renderOverview(summary, previous));
+    if (summary.moods.length > 0) elements.reviewSummary.appendChild(this.renderMoods(summary));
+    if (summary.habits.length > 0) elements.reviewSummary.appendChild(this.renderHabits(summary));
+    if (summary.words.length > 0) elements.reviewSummary.appendChild(this.renderWords(summary));
+    this.renderNote(reflections, period, start);
+  },
+  // Leaves a note that is being written alone, so re-renders from sync or other tabs don't wipe it
+  renderNote(reflections, period, start) {
+    const note = elements.reflectionNote;
+    if (!note) return;
+    const id = this.getId(period, start);
+    const saved = reflections.find(reflection => reflection.id === id);
+    if (note.dataset.id !== id || note.dataset.dirty !== 'true') {
+      note.value = saved ? saved.note : '';
+      note.dataset.id = id;
+      delete note.dataset.dirty;
+    }
+    utils.setTextContent(elements.reflectionStatus, saved && saved.updatedAt
+      ? `Saved ${utils.formatDate(saved.updatedAt)} at ${utils.formatTime(saved.updatedAt)}`
+      : '');
+  }
+};
+
+// Shortcuts module
+// Single-key shortcuts are skipped while typing in a field or with a dialog open, so they never eat text
+const shortcuts = {
+  modifierLabel() {
+    return /Mac|iPhone|iPad/.test(navigator.platform) ? '⌘' : 'Ctrl';
+  },
+  moodOptions() {
+    return elements.moodSelector ? [...elements.moodSelector.querySelectorAll('.mood-option')].slice(0, 9) : [];
+  },
+  // Every key binding in the app, as listed in the help overlay
+  list() {
+    const mod = this.modifierLabel();
+    const moodCount = this.moodOptions().length;
+    return [
+      { keys: [`${mod}+K`], description: 'Open the command palette' },
+      { keys: ['?'], description: 'Show these shortcuts' },
+      ...(moodCount > 0 ? [{ keys: [moodCount > 1 ? `1–${moodCount}` : '1'], description: 'Pick a mood' }] : []),
+      { keys: ['N'], description: 'Write a new entry' },
+      { keys: ['H'], description: 'Add a habit' },
+      { keys: ['/'], description: 'Search the journal' },
+      { keys: [`${mod}+Z`], description: 'Undo the last change' },
+      { keys: [`${mod}+Shift+Z`, `${mod}+Y`], description: 'Redo' },
+      { keys: [`${mod}+B`, `${mod}+I`], description: 'Bold or italic text while writing an entry' },
+      { keys: ['Enter'], description: 'Add the habit you typed' },
+      { keys: ['Arrow keys', 'Page Up', 'Page Down'], description: 'Move between days and months in the calendar' },
+      { keys: ['Esc'], description: 'Close a dialog or cancel an edit' }
+    ];
+  },
+  isTyping(target) {
+    const field = target && target.closest ? target.closest('input, textarea, select, [contenteditable="true"]') : null;
+    if (!field) return false;
+    return !(field.tagName === 'INPUT' && ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'file'].includes(field.type));
+  },
+  isDialogOpen() {
+    return Boolean(document.querySelector('.modal:not([hidden])'));
+  },
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.repeat || vault.isLocked()) return;
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && key === 'k') {
+      e.preventDefault();
+      if (commandPalette.isOpen()) {
+        commandPalette.close();
+      } else if (!this.isDialogOpen()) {
+        commandPalette.open();
+      }
+      return;
+    }
+    if (e.ctrlKey || e.metaKey || e.altKey || this.isTyping(e.target) || this.isDialogOpen()) return;
+    if (/^[1-9]$/.test(key)) {
+      if (app.pickMoodByIndex(Number(key) - 1)) e.preventDefault();
+      return;
+    }
+    const actions = {
+      '?': () => this.openHelp(),
+      n: () => app.startNewEntry(),
+      h: () => app.focusHabits(),
+      '/': () => app.focusSearch()
+    };
+    if (!actions[key]) return;
+    e.preventDefault();
+    actions[key]();
+  },
+  openHelp() {
+    if (!elements.shortcutsDialog || !elements.shortcutList) return;
+    elements.shortcutList.innerHTML = '';
+    this.list().forEach(({ keys, description }) => {
+      const term = document.createElement('dt');
+      keys.forEach((key, index) => {
+        if (index > 0) term.appendChild(document.createTextNode(' '));
+        const kbd = document.createElement('kbd');
+        kbd.textContent = key;
+        term.appendChild(kbd);
+      });
+      const detail = document.createElement('dd');
+      detail.textContent = description;
+      elements.shortcutList.appendChild(term);
+      elements.shortcutList.appendChild(detail);
     });
+    ui.openModal(elements.shortcutsDialog);
+  }
+};
+
+// Command palette module
+// Commands are rebuilt on every open so ones that don't currently apply (e.g. Lock now) drop out
+const commandPalette = {
+  commands: [],
+  matches: [],
+  activeIndex: 0,
+  isOpen() {
+    return Boolean(elements.commandPalette) && !elements.commandPalette.hidden;
   },
-  updateStats(entries, habits) {
-    utils.setTextContent(elements.totalEntries, entries.length);
-    const today = new Date().toDateString();
-    let streak = 0;
-    const sortedEntries = [...entries].sort((a, b) => b.timestamp - a.timestamp);
-    let currentDate = new Date();
-    for (let i = 0; i < sortedEntries.length; i++) {
-      const entryDate = new Date(sortedEntries[i].timestamp).toDateString();
-      const checkDate = new Date(currentDate).toDateString();
-      if (entryDate === checkDate) {
-        streak++;
-        currentDate.setDate(currentDate.getDate() - 1);
-      } else {
-        break;
+  build() {
+    const mod = shortcuts.modifierLabel();
+    const click = element => () => { if (element) element.click(); };
+    const commands = [
+      { id: 'new-entry', label: 'New entry', keywords: 'journal write mood', shortcut: 'N', run: () => app.startNewEntry() },
+      { id: 'add-habit', label: 'Add a habit', shortcut: 'H', run: () => app.focusHabits() },
+      { id: 'search', label: 'Search the journal', keywords: 'find filter', shortcut: '/', run: () => app.focusSearch() },
+      { id: 'jump', label: 'Jump to a date', keywords: 'go calendar day', run: () => app.jumpToDate(state.calendar.selected || state.today) },
+      { id: 'list', label: 'Show the journal list', keywords: 'view log', run: () => app.setLogView('list') },
+      { id: 'weekly-review', label: 'Review this week', keywords: 'reflection summary', run: () => app.showReview('weekly') },
+      { id: 'monthly-review', label: 'Review this month', keywords: 'reflection summary', run: () => app.showReview('monthly') },
+      { id: 'export', label: 'Export data', keywords: 'backup download csv markdown print report', run: click(elements.exportBtn) },
+      { id: 'import', label: 'Import a backup', keywords: 'restore upload', run: click(elements.importBtn) },
+      { id: 'snapshots', label: 'Restore a snapshot', keywords: 'backups history', run: click(elements.backupsBtn) },
+      { id: 'theme', label: 'Toggle dark mode', keywords: 'theme light', run: click(elements.themeToggle) },
+      { id: 'moods', label: 'Customize moods', keywords: 'scale emoji', run: click(elements.moodsBtn) },
+      { id: 'reminders', label: 'Reminder settings', keywords: 'notifications', run: click(elements.remindersBtn) },
+      { id: 'sync-settings', label: 'Sync settings', keywords: 'server cloud', run: click(elements.syncBtn) },
+      { id: 'security', label: 'Privacy lock settings', keywords: 'passphrase encrypt', run: click(elements.lockBtn) },
+      { id: 'undo', label: 'Undo', shortcut: `${mod}+Z`, run: () => commandHistory.undo() },
+      { id: 'redo', label: 'Redo', shortcut: `${mod}+Y`, run: () => commandHistory.redo() },
+      { id: 'shortcuts', label: 'Keyboard shortcuts', keywords: 'help keys', shortcut: '?', run: () => shortcuts.openHelp() }
+    ];
+    if (sync.isEnabled()) {
+      commands.push({ id: 'sync-now', label: 'Sync now', keywords: 'server cloud', run: () => sync.run() });
+    }
+    if (vault.isEnabled()) {
+      commands.push({ id: 'lock', label: 'Lock now', keywords: 'passphrase', run: () => app.lock() });
+    }
+    return commands;
+  },
+  // Accepts "today", "yesterday", YYYY-MM-DD or anything Date.parse reads that includes a year
+  parseDate(query) {
+    const text = query.trim().toLowerCase().replace(/^(go|jump) to\s+/, '');
+    let dateKey = null;
+    if (text === 'today') {
+      dateKey = state.today;
+    } else if (text === 'yesterday') {
+      dateKey = utils.addDays(state.today, -1);
+    } else if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      dateKey = utils.toDateKey(utils.parseDateKey(text)) === text ? text : null;
+    } else if (/\b\d{4}\b/.test(text) && !Number.isNaN(Date.parse(text))) {
+      dateKey = utils.toDateKey(new Date(Date.parse(text)));
+    }
+    return dateKey && dateKey <= state.today ? dateKey : null;
+  },
+  open() {
+    if (!elements.commandPalette || !elements.commandInput || !elements.commandList) return;
+    this.commands = this.build();
+    elements.commandInput.value = '';
+    this.activeIndex = 0;
+    this.render();
+    ui.openModal(elements.commandPalette);
+  },
+  close() {
+    ui.closeModal(elements.commandPalette);
+  },
+  render() {
+    const list = elements.commandList;
+    const query = elements.commandInput.value;
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    this.matches = this.commands.filter(command => {
+      const text = `${command.label} ${command.keywords || ''}`.toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+    const dateKey = this.parseDate(query);
+    if (dateKey) {
+      this.matches.unshift({ id: 'date', label: `Jump to ${utils.formatDate(utils.parseDateKey(dateKey))}`, run: () => app.jumpToDate(dateKey) });
+    }
+    this.activeIndex = Math.min(this.activeIndex, Math.max(this.matches.length - 1, 0));
+    list.innerHTML = '';
+    if (this.matches.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'command-empty';
+      empty.textContent = 'No matching commands';
+      list.appendChild(empty);
+      elements.commandInput.removeAttribute('aria-activedescendant');
+      return;
+    }
+    this.matches.forEach((command, index) => {
+      const item = document.createElement('li');
+      item.id = `command-${command.id}`;
+      item.className = 'command-item';
+      item.dataset.index = index;
+      item.setAttribute('role', 'option');
+      item.setAttribute('aria-selected', String(index === this.activeIndex));
+      const label = document.createElement('span');
+      label.textContent = command.label;
+      item.appendChild(label);
+      if (command.shortcut) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = command.shortcut;
+        item.appendChild(kbd);
       }
+      list.appendChild(item);
+    });
+    const active = list.children[this.activeIndex];
+    elements.commandInput.setAttribute('aria-activedescendant', active.id);
+    if (active.scrollIntoView) active.scrollIntoView({ block: 'nearest' });
+  },
+  handleKeydown(e) {
+    const count = this.matches.length;
+    if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && count > 0) {
+      e.preventDefault();
+      this.activeIndex = (this.activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+      this.render();
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.run(this.activeIndex);
     }
-    utils.setTextContent(elements.currentStreak, streak);
-    const completedHabits = habits.filter(habit => habit.completed).length;
-    const completionRate = habits.length > 0 ? Math.round((completedHabits / habits.length) * 100) : 0;
-    utils.setTextContent(elements.completionRate, `${completionRate}%`);
-    utils.updateProgressRing(completionRate);
-    const moodAverage = utils.calculateMoodAverage(entries);
-    utils.setTextContent(elements.moodAverage, moodAverage);
   },
-  initMoodSelector() {
-    const moodOptions = elements.moodSelector ? elements.moodSelector.querySelectorAll('.mood-option') : [];
-    moodOptions.forEach(option => {
-      option.addEventListener('click', () => {
-        moodOptions.forEach(opt => opt.classList.remove('selected'));
-        option.classList.add('selected');
-        const moodValue = option.getAttribute('data-value');
-        if (elements.moodSelect) elements.moodSelect.value = moodValue;
-        state.selectedMood = moodValue;
-        const errorElement = document.getElementById('mood-error');
-        if (errorElement) {
-          errorElement.classList.remove('show');
-          errorElement.textContent = '';
+  // Closes first so the command can move focus or open its own dialog
+  run(index) {
+    const command = this.matches[index];
+    if (!command) return;
+    this.close();
+    command.run();
+  }
+};
+
+// Reminders module
+// Reminders are checked on an interval by the open page and shown through the service worker
+// when notifications are allowed. Nothing runs once the page is closed, so they only fire while
+// the app is open in a tab or window.
+const reminders = {
+  settings: DEFAULT_REMINDER_SETTINGS,
+  log: {},
+  snoozed: {},
+  timer: null,
+  async load() {
+    const saved = (await storage.getMeta('reminders')) || {};
+    this.settings = {
+      ...DEFAULT_REMINDER_SETTINGS,
+      ...saved,
+      checkIn: { ...DEFAULT_REMINDER_SETTINGS.checkIn, ...saved.checkIn },
+      quietHours: { ...DEFAULT_REMINDER_SETTINGS.quietHours, ...saved.quietHours }
+    };
+    this.log = (await storage.getMeta('reminderLog')) || {};
+  },
+  async saveSettings(settings) {
+    this.settings = settings;
+    await storage.setMeta('reminders', settings);
+  },
+  start() {
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.check(), REMINDER_CHECK_INTERVAL);
+    this.check();
+  },
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  },
+  // Quiet hours may wrap past midnight, e.g. 22:00 - 07:00
+  isQuietTime(date = new Date()) {
+    const { enabled, start, end } = this.settings.quietHours;
+    if (!enabled || start === end) return false;
+    const now = date.getHours() * 60 + date.getMinutes();
+    const startMinutes = this.toMinutes(start);
+    const endMinutes = this.toMinutes(end);
+    return startMinutes < endMinutes
+      ? now >= startMinutes && now < endMinutes
+      : now >= startMinutes || now < endMinutes;
+  },
+  // Builds the reminder for `key` if it still applies right now, e.g. the habit isn't done yet
+  describe(key, todayKey) {
+    if (key === 'check-in') {
+      const journaledToday = state.journalEntries.some(entry => utils.toDateKey(entry.timestamp) === todayKey);
+      return journaledToday ? null : { key, title: 'How are you feeling?', body: 'Take a moment to check in with yourself.' };
+    }
+    const habit = state.habits.find(h => `habit:${h.id}` === key);
+    if (!habit || habitLog.isCompletedOn(habit, todayKey) || !habitLog.isDueOn(habit, todayKey)) return null;
+    return { key, title: `Time for "${habit.text}"`, body: 'Keep your streak going!' };
+  },
+  getDueReminders(date = new Date()) {
+    const todayKey = utils.toDateKey(date);
+    const now = date.getHours() * 60 + date.getMinutes();
+    const keys = [];
+    if (this.settings.checkIn.enabled && now >= this.toMinutes(this.settings.checkIn.time)) {
+      keys.push('check-in');
+    }
+    state.habits.forEach(habit => {
+      if (habit.reminderTime && !habit.archived && now >= this.toMinutes(habit.reminderTime)) keys.push(`habit:${habit.id}`);
+    });
+    const due = keys.filter(key => this.log[key] !== todayKey && !this.snoozed[key]);
+    Object.keys(this.snoozed).forEach(key => {
+      if (this.snoozed[key] <= date.getTime()) due.push(key);
+    });
+    return due.map(key => this.describe(key, todayKey)).filter(Boolean);
+  },
+  async check() {
+    if (vault.isLocked() || this.isQuietTime()) return;
+    const todayKey = utils.toDateKey();
+    const due = this.getDueReminders();
+    if (due.length === 0) return;
+    due.forEach(reminder => {
+      this.log[reminder.key] = todayKey;
+      delete this.snoozed[reminder.key];
+    });
+    try {
+      await storage.setMeta('reminderLog', this.log);
+    } catch (error) {
+      console.error('Error saving reminder log:', error);
+    }
+    for (const reminder of due) {
+      await this.notify(reminder);
+    }
+  },
+  canUseSystemNotifications() {
+    return 'Notification' in window && Notification.permission === 'granted';
+  },
+  async notify(reminder) {
+    if (this.canUseSystemNotifications()) {
+      try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        const options = {
+          body: reminder.body,
+          tag: reminder.key,
+          icon: 'icons/icon-192.png',
+          data: { key: reminder.key }
+        };
+        if (registration) {
+          await registration.showNotification(reminder.title, {
+            ...options,
+            actions: [{ action: 'snooze', title: `Snooze ${this.settings.snoozeMinutes} min` }]
+          });
+        } else {
+          new Notification(reminder.title, options);
         }
+        return;
+      } catch (error) {
+        console.error('Error showing notification:', error);
+      }
+    }
+    ui.showNotification(`${reminder.title} ${reminder.body}`, 'info', 15000, {
+      label: 'Snooze',
+      onClick: () => this.snooze(reminder.key)
+    });
+  },
+  snooze(key) {
+    this.snoozed[key] = Date.now() + this.settings.snoozeMinutes * 60 * 1000;
+  },
+  async requestPermission() {
+    if (!('Notification' in window)) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return Notification.requestPermission();
+  },
+  // Messages from the service worker when a reminder notification is clicked
+  handleMessage(message) {
+    if (!message || !message.key) return;
+    if (message.type === 'REMINDER_SNOOZE') {
+      this.snooze(message.key);
+    } else if (message.type === 'REMINDER_OPEN') {
+      const target = message.key === 'check-in' ? document.getElementById('journal') : elements.habitList;
+      if (target) target.scrollIntoView({ behavior: utils.prefersReducedMotion() ? 'auto' : 'smooth', block: 'center' });
+      if (message.key === 'check-in' && target) target.focus();
+    }
+  }
+};
+
+// PWA module
+const pwa = {
+  installPrompt: null,
+  init() {
+    window.addEventListener('beforeinstallprompt', (e) => {
+      e.preventDefault();
+      this.installPrompt = e;
+      if (elements.installBtn) elements.installBtn.hidden = false;
+    });
+    window.addEventListener('appinstalled', () => {
+      this.installPrompt = null;
+      if (elements.installBtn) elements.installBtn.hidden = true;
+    });
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.addEventListener('message', (e) => reminders.handleMessage(e.data));
+    // Only reload on controller changes caused by an accepted update, not the first install
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    let refreshing = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!hadController || refreshing) return;
+      refreshing = true;
+      window.location.reload();
+    });
+    navigator.serviceWorker.register('sw.js').then(registration => {
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.promptUpdate(registration.waiting);
+      }
+      registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            this.promptUpdate(worker);
+          }
+        });
       });
+    }).catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  },
+  promptUpdate(worker) {
+    ui.showNotification('A new version of Mindful Moments is available.', 'info', 60000, {
+      label: 'Update',
+      onClick: () => worker.postMessage({ type: 'SKIP_WAITING' })
     });
+  },
+  async install() {
+    if (!this.installPrompt) return;
+    this.installPrompt.prompt();
+    await this.installPrompt.userChoice;
+    this.installPrompt = null;
+    if (elements.installBtn) elements.installBtn.hidden = true;
   }
 };
 
@@ -458,43 +5159,414 @@ const theme = {
 
 // Main application
 const app = {
-  init() {
+  async init() {
     theme.init();
+    pwa.init();
     utils.setCurrentYear();
-    this.loadData();
+    state.today = utils.toDateKey();
+    state.selectedHabitDate = state.today;
+    await storage.init();
+    tabSync.init();
+    await vault.load();
+    await reminders.load();
+    await sync.load();
+    await habitTimers.load();
+    this.readFiltersFromHash();
     this.setupEventListeners();
     ui.initMoodSelector();
-    this.renderUI();
+    ui.renderMoodControls(moodScale.list());
+    ui.updateScheduleControls();
+    ui.updateGoalControls();
+    ui.updateSecurityDialog();
+    // A different prompt each day, starting from the same one on every device
+    state.promptIndex = Math.floor(Date.parse(state.today) / 86400000) % JOURNAL_PROMPTS.length;
+    ui.renderJournalPrompt(state.promptIndex);
+    this.scheduleDayRollover();
+    sync.start();
+    if (vault.isLocked()) {
+      this.renderUI();
+      ui.showLockScreen();
+      return;
+    }
+    await this.openData();
     if (state.journalEntries.length === 0 && state.habits.length === 0) {
       setTimeout(() => {
         ui.showNotification('Welcome! Start by adding a journal entry or habit.', 'info', 8000);
       }, 1000);
     }
   },
-  loadData() {
-    const entries = storage.getJournalEntries();
-    const habits = storage.getHabits();
-    state.journalEntries = Array.isArray(entries) ? entries : [];
-    state.habits = Array.isArray(habits) ? habits : [];
-    console.log('Loaded entries:', state.journalEntries);
-    console.log('Loaded habits:', state.habits);
+  async openData() {
+    await storage.upgradeData();
+    await this.loadData();
+    // Only once entries are loaded, or the check-in reminder would count today as not journaled yet
+    reminders.start();
+    this.renderUI();
+    this.resetAutoLock();
+    await this.restoreDraft();
+    await snapshots.ensureDaily();
+    sync.schedule(0);
   },
-  saveData() {
-    const journalSuccess = storage.setJournalEntries(state.journalEntries);
-    const habitsSuccess = storage.setHabits(state.habits);
-    if (!journalSuccess || !habitsSuccess) {
-      ui.showNotification('Error saving data to storage', 'danger');
-      return false;
+  async handleUnlock(e) {
+    e.preventDefault();
+    const passphrase = elements.unlockPassphrase ? elements.unlockPassphrase.value : '';
+    if (!passphrase) {
+      ui.setFieldError(elements.unlockError, 'Please enter your passphrase');
+      return;
+    }
+    ui.setButtonLoading(elements.unlockBtn, true);
+    try {
+      if (!(await vault.unlock(passphrase))) {
+        ui.setFieldError(elements.unlockError, 'Incorrect passphrase');
+        if (elements.unlockPassphrase) elements.unlockPassphrase.select();
+        return;
+      }
+      ui.hideLockScreen();
+      await this.openData();
+    } catch (error) {
+      console.error('Unlock error:', error);
+      ui.setFieldError(elements.unlockError, 'Could not unlock your data');
+    } finally {
+      ui.setButtonLoading(elements.unlockBtn, false);
+    }
+  },
+  async lock() {
+    if (!vault.isEnabled() || vault.isLocked()) return;
+    await drafts.save();
+    if (elements.reflectionNote && elements.reflectionNote.dataset.dirty === 'true') await this.saveReflection();
+    vault.lock();
+    this.showLocked();
+  },
+  // Clears decrypted data from memory and shows the lock screen
+  showLocked() {
+    clearTimeout(this.autoLockTimer);
+    state.journalEntries = [];
+    state.habits = [];
+    state.moods = [];
+    state.reflections = [];
+    state.editingEntryId = null;
+    state.editingHabitId = null;
+    state.addingEntryDate = null;
+    commandHistory.clear();
+    this.resetJournalForm();
+    if (elements.reflectionNote) delete elements.reflectionNote.dataset.dirty;
+    attachments.clearCache();
+    ui.closeImage();
+    ui.closePassphraseDialog(null);
+    ui.closeModal(elements.securityDialog);
+    ui.closeModal(elements.moodsDialog);
+    ui.closeModal(elements.backupsDialog);
+    ui.closeModal(elements.syncDialog);
+    this.renderUI();
+    ui.showLockScreen();
+  },
+  resetAutoLock() {
+    clearTimeout(this.autoLockTimer);
+    if (!vault.isEnabled() || vault.isLocked()) return;
+    this.autoLockTimer = setTimeout(() => this.lock(), AUTO_LOCK_DELAY);
+  },
+  // Sync sends records as they are, so it and the passphrase lock can't be on together
+  async enableEncryption() {
+    if (sync.settings.enabled) {
+      ui.showNotification('Turn off sync before setting a passphrase. Synced records would leave this device unencrypted.', 'warning', 8000);
+      return;
+    }
+    const passphrase = await ui.requestPassphrase({
+      title: 'Set a passphrase',
+      message: 'Your journal and backups will be encrypted with this passphrase. If you forget it, your data cannot be recovered.',
+      confirm: true,
+      minLength: MIN_PASSPHRASE_LENGTH
+    });
+    if (!passphrase) return;
+    const data = { journalEntries: state.journalEntries, habits: state.habits, moods: state.moods, reflections: state.reflections };
+    try {
+      const saved = await snapshots.readAll();
+      const photos = await attachments.readAll();
+      const draft = drafts.current();
+      await vault.enable(passphrase, async () => {
+        await storage.replaceAll(data);
+        await snapshots.writeAll(saved);
+        await attachments.writeAll(photos);
+        await drafts.write(draft);
+      });
+      // A token left over from earlier sync use would be the one thing still stored in plaintext
+      if (sync.settings.token) await sync.saveSettings({ ...sync.settings, token: '' });
+      ui.updateSecurityDialog();
+      this.resetAutoLock();
+      ui.showNotification('Passphrase set. Your journal is now encrypted.', 'success');
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to encrypt your data. Please try again.');
+    }
+  },
+  async disableEncryption() {
+    const passphrase = await ui.requestPassphrase({
+      title: 'Remove passphrase',
+      message: 'Enter your current passphrase. Your journal will be stored unencrypted on this device.'
+    });
+    if (!passphrase) return;
+    if (!(await vault.checkPassphrase(passphrase))) {
+      ui.showNotification('Incorrect passphrase', 'danger');
+      return;
+    }
+    const data = { journalEntries: state.journalEntries, habits: state.habits, moods: state.moods, reflections: state.reflections };
+    try {
+      const saved = await snapshots.readAll();
+      const photos = await attachments.readAll();
+      const draft = drafts.current();
+      await vault.disable(async () => {
+        await storage.replaceAll(data);
+        await snapshots.writeAll(saved);
+        await attachments.writeAll(photos);
+        await drafts.write(draft);
+      });
+      clearTimeout(this.autoLockTimer);
+      ui.updateSecurityDialog();
+      ui.showNotification('Passphrase removed. Your journal is no longer encrypted.', 'info');
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to decrypt your data. Please try again.');
+    }
+  },
+  async loadData() {
+    try {
+      const { journalEntries: entries, habits, moods, reflections } = await storage.loadAll();
+      state.journalEntries = Array.isArray(entries) ? entries : [];
+      state.habits = Array.isArray(habits) ? habitLog.sort(habits.map(habit => habitLog.normalize(habit))) : [];
+      state.moods = Array.isArray(moods) ? moods : [];
+      state.reflections = Array.isArray(reflections) ? reflections : [];
+    } catch (error) {
+      console.error('Error loading data:', error);
+      ui.showNotification('Could not load your saved data.', 'danger');
+    }
+  },
+  isEditing() {
+    return Boolean(state.editingEntryId || state.editingHabitId || state.addingEntryDate);
+  },
+  // For changes that arrive from elsewhere (another tab, the sync server). Re-rendering would throw away
+  // an entry or habit being edited; the next render after saving picks the changes up.
+  renderUnlessEditing() {
+    if (!this.isEditing()) this.renderUI();
+  },
+  // Records a change for undo/redo and confirms it with an Undo button in the toast
+  commit(label, changes, message, type = 'success') {
+    commandHistory.record(label, changes);
+    ui.showNotification(message, type, 8000, { label: 'Undo', onClick: () => commandHistory.undo() });
+  },
+  handleStorageError(error, message) {
+    console.error('Storage error:', error);
+    if (storage.isQuotaError(error)) {
+      ui.showNotification('Your browser storage is full. Export a backup and remove old entries to free up space.', 'danger', 10000);
+    } else {
+      ui.showNotification(message, 'danger');
     }
-    return true;
   },
   setupEventListeners() {
     if (elements.themeToggle) {
       elements.themeToggle.addEventListener('click', () => theme.toggle());
     }
+    if (elements.installBtn) {
+      elements.installBtn.addEventListener('click', () => pwa.install());
+    }
+    if (elements.remindersBtn) {
+      elements.remindersBtn.addEventListener('click', () => ui.openRemindersDialog(reminders.settings, state.habits.filter(habit => !habit.archived)));
+    }
+    if (elements.enableNotificationsBtn) {
+      elements.enableNotificationsBtn.addEventListener('click', async () => {
+        const permission = await reminders.requestPermission();
+        ui.updateNotificationStatus();
+        if (permission === 'denied') {
+          ui.showNotification('Notifications are blocked. Reminders will show inside the app instead.', 'warning');
+        }
+      });
+    }
+    if (elements.moodsBtn) {
+      elements.moodsBtn.addEventListener('click', () => ui.openMoodsDialog(moodScale.list(), state.journalEntries));
+    }
+    if (elements.addMoodBtn) {
+      elements.addMoodBtn.addEventListener('click', () => {
+        const row = ui.renderMoodRow({ id: generateId(), label: '', emoji: '🙂', score: 4, color: '#9e9e9e' });
+        elements.moodList.appendChild(row);
+        row.querySelector('[name="label"]').focus();
+      });
+    }
+    if (elements.moodsForm) {
+      elements.moodsForm.addEventListener('submit', (e) => this.saveMoodScale(e));
+    }
+    if (elements.moodsCancel) {
+      elements.moodsCancel.addEventListener('click', () => ui.closeModal(elements.moodsDialog));
+    }
+    if (elements.remindersForm) {
+      elements.remindersForm.addEventListener('submit', (e) => this.saveReminderSettings(e));
+    }
+    if (elements.remindersCancel) {
+      elements.remindersCancel.addEventListener('click', () => ui.closeModal(elements.remindersDialog));
+    }
+    if (elements.syncBtn) {
+      elements.syncBtn.addEventListener('click', () => ui.openSyncDialog(sync.settings));
+    }
+    if (elements.syncForm) {
+      elements.syncForm.addEventListener('submit', (e) => this.saveSyncSettings(e));
+    }
+    if (elements.syncNowBtn) {
+      elements.syncNowBtn.addEventListener('click', () => sync.run());
+    }
+    if (elements.syncCancel) {
+      elements.syncCancel.addEventListener('click', () => ui.closeModal(elements.syncDialog));
+    }
+    if (elements.unlockForm) {
+      elements.unlockForm.addEventListener('submit', (e) => this.handleUnlock(e));
+    }
+    if (elements.lockBtn) {
+      elements.lockBtn.addEventListener('click', () => {
+        ui.updateSecurityDialog();
+        ui.openModal(elements.securityDialog);
+      });
+    }
+    if (elements.securityCloseBtn) {
+      elements.securityCloseBtn.addEventListener('click', () => ui.closeModal(elements.securityDialog));
+    }
+    if (elements.setPassphraseBtn) {
+      elements.setPassphraseBtn.addEventListener('click', () => {
+        ui.closeModal(elements.securityDialog);
+        this.enableEncryption();
+      });
+    }
+    if (elements.lockNowBtn) {
+      elements.lockNowBtn.addEventListener('click', () => this.lock());
+    }
+    if (elements.removePassphraseBtn) {
+      elements.removePassphraseBtn.addEventListener('click', () => {
+        ui.closeModal(elements.securityDialog);
+        this.disableEncryption();
+      });
+    }
+    if (elements.passphraseForm) {
+      elements.passphraseForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        ui.submitPassphrase();
+      });
+    }
+    if (elements.passphraseCancel) {
+      elements.passphraseCancel.addEventListener('click', () => ui.closePassphraseDialog(null));
+    }
+    if (elements.importForm) {
+      elements.importForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        ui.closeImportPreview(elements.importForm.elements.importMode.value);
+      });
+    }
+    if (elements.importCancel) {
+      elements.importCancel.addEventListener('click', () => ui.closeImportPreview(null));
+    }
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      // Leave text fields and open dialogs to the browser's own undo
+      const target = e.target;
+      if (target.closest && target.closest('input, textarea, select, [contenteditable="true"], .modal')) return;
+      if (vault.isLocked()) return;
+      e.preventDefault();
+      if (key === 'y' || e.shiftKey) {
+        commandHistory.redo();
+      } else {
+        commandHistory.undo();
+      }
+    });
+    document.addEventListener('keydown', (e) => shortcuts.handleKeydown(e));
+    if (elements.shortcutsBtn) {
+      elements.shortcutsBtn.addEventListener('click', () => shortcuts.openHelp());
+    }
+    if (elements.shortcutsCloseBtn) {
+      elements.shortcutsCloseBtn.addEventListener('click', () => ui.closeModal(elements.shortcutsDialog));
+    }
+    if (elements.commandInput) {
+      elements.commandInput.addEventListener('input', () => {
+        commandPalette.activeIndex = 0;
+        commandPalette.render();
+      });
+      elements.commandInput.addEventListener('keydown', (e) => commandPalette.handleKeydown(e));
+    }
+    if (elements.commandList) {
+      elements.commandList.addEventListener('click', (e) => {
+        const item = e.target.closest('.command-item');
+        if (item) commandPalette.run(Number(item.dataset.index));
+      });
+    }
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      if (commandPalette.isOpen()) {
+        commandPalette.close();
+      } else if (elements.shortcutsDialog && !elements.shortcutsDialog.hidden) {
+        ui.closeModal(elements.shortcutsDialog);
+      } else if (elements.passphraseDialog && !elements.passphraseDialog.hidden) {
+        ui.closePassphraseDialog(null);
+      } else if (elements.imageDialog && !elements.imageDialog.hidden) {
+        ui.closeImage();
+      } else if (elements.importDialog && !elements.importDialog.hidden) {
+        ui.closeImportPreview(null);
+      } else if (elements.exportDialog && !elements.exportDialog.hidden) {
+        ui.closeModal(elements.exportDialog);
+      } else if (elements.remindersDialog && !elements.remindersDialog.hidden) {
+        ui.closeModal(elements.remindersDialog);
+      } else if (elements.syncDialog && !elements.syncDialog.hidden) {
+        ui.closeModal(elements.syncDialog);
+      } else if (elements.moodsDialog && !elements.moodsDialog.hidden) {
+        ui.closeModal(elements.moodsDialog);
+      } else if (elements.backupsDialog && !elements.backupsDialog.hidden) {
+        ui.closeModal(elements.backupsDialog);
+      } else if (elements.securityDialog && !elements.securityDialog.hidden) {
+        ui.closeModal(elements.securityDialog);
+      }
+    });
+    ['pointerdown', 'keydown', 'scroll'].forEach(eventName => {
+      document.addEventListener(eventName, () => this.resetAutoLock(), { passive: true });
+    });
     if (elements.moodForm) {
       elements.moodForm.addEventListener('submit', (e) => this.handleMoodSubmit(e));
     }
+    if (elements.journal) {
+      elements.journal.addEventListener('input', () => drafts.schedule());
+      elements.journal.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+        const format = { b: 'bold', i: 'italic' }[e.key.toLowerCase()];
+        if (!format) return;
+        e.preventDefault();
+        ui.applyJournalFormat(elements.journal, format);
+      });
+    }
+    if (elements.journalToolbar) {
+      elements.journalToolbar.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-format]');
+        if (button && elements.journal) ui.applyJournalFormat(elements.journal, button.dataset.format);
+      });
+    }
+    if (elements.journalPreviewBtn) {
+      elements.journalPreviewBtn.addEventListener('click', () => {
+        ui.setJournalPreview(elements.journalPreviewBtn.getAttribute('aria-pressed') !== 'true');
+      });
+    }
+    if (elements.usePromptBtn) {
+      elements.usePromptBtn.addEventListener('click', () => this.useJournalPrompt());
+    }
+    if (elements.nextPromptBtn) {
+      elements.nextPromptBtn.addEventListener('click', () => this.nextJournalPrompt());
+    }
+    if (elements.addPhotoBtn && elements.photoFile) {
+      elements.addPhotoBtn.addEventListener('click', () => {
+        if (!storage.canStoreAttachments()) {
+          ui.showNotification('Photos can\'t be added here: this browser isn\'t providing the storage they need, e.g. in private browsing.', 'warning', 8000);
+          return;
+        }
+        elements.photoFile.click();
+      });
+      elements.photoFile.addEventListener('change', async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (files.length > 0) await this.addPhotos(files);
+      });
+    }
+    if (elements.imageDialogClose) {
+      elements.imageDialogClose.addEventListener('click', () => ui.closeImage());
+    }
     if (elements.addHabitBtn) {
       elements.addHabitBtn.addEventListener('click', () => this.addHabit());
     }
@@ -508,13 +5580,76 @@ const app = {
     if (elements.clearDataBtn) {
       elements.clearDataBtn.addEventListener('click', () => this.clearAllData());
     }
+    if (elements.backupsBtn) {
+      elements.backupsBtn.addEventListener('click', () => ui.openBackupsDialog());
+    }
+    if (elements.backupsCloseBtn) {
+      elements.backupsCloseBtn.addEventListener('click', () => ui.closeModal(elements.backupsDialog));
+    }
     if (elements.exportBtn) {
-      elements.exportBtn.addEventListener('click', () => storage.exportData());
+      elements.exportBtn.addEventListener('click', () => ui.openModal(elements.exportDialog));
+    }
+    if (elements.exportForm) {
+      elements.exportForm.addEventListener('submit', (e) => this.handleExport(e));
+      elements.exportForm.addEventListener('change', (e) => {
+        if (e.target.name === 'exportFormat') ui.updateExportRange(e.target.value);
+      });
+    }
+    if (elements.exportCancel) {
+      elements.exportCancel.addEventListener('click', () => ui.closeModal(elements.exportDialog));
     }
+    window.addEventListener('afterprint', () => {
+      if (elements.printReport) elements.printReport.innerHTML = '';
+    });
     if (elements.importBtn && elements.importFile) {
       elements.importBtn.addEventListener('click', () => elements.importFile.click());
       elements.importFile.addEventListener('change', (e) => this.handleImport(e));
     }
+    if (elements.habitKind) {
+      elements.habitKind.addEventListener('change', () => ui.updateGoalControls());
+    }
+    if (elements.habitSchedule) {
+      elements.habitSchedule.addEventListener('change', () => ui.updateScheduleControls());
+    }
+    if (elements.reviewPeriod) {
+      elements.reviewPeriod.addEventListener('change', (e) => this.showReviewPeriod(e.target.value, null));
+    }
+    if (elements.reviewPrev) {
+      elements.reviewPrev.addEventListener('click', () => {
+        const { period, start } = review.current();
+        this.showReviewPeriod(period, review.shift(period, start, -1));
+      });
+    }
+    if (elements.reviewNext) {
+      elements.reviewNext.addEventListener('click', () => {
+        const { period, start } = review.current();
+        this.showReviewPeriod(period, review.shift(period, start, 1));
+      });
+    }
+    if (elements.reflectionForm) {
+      elements.reflectionForm.addEventListener('submit', (e) => this.saveReflection(e));
+    }
+    if (elements.reflectionNote) {
+      elements.reflectionNote.addEventListener('input', () => {
+        elements.reflectionNote.dataset.dirty = 'true';
+      });
+    }
+    if (elements.trendGranularity) {
+      elements.trendGranularity.addEventListener('change', (e) => {
+        state.filters.trend = e.target.value;
+        this.renderUI();
+      });
+    }
+    if (elements.habitDate) {
+      elements.habitDate.addEventListener('change', (e) => {
+        const dateKey = e.target.value;
+        state.selectedHabitDate = dateKey && dateKey <= state.today ? dateKey : state.today;
+        this.renderUI();
+      });
+    }
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) this.checkDayRollover();
+    });
     if (elements.habitFilter) {
       elements.habitFilter.addEventListener('change', (e) => {
         state.filters.habitStatus = e.target.value;
@@ -524,31 +5659,117 @@ const app = {
     if (elements.moodFilter) {
       elements.moodFilter.addEventListener('change', utils.debounce((e) => {
         state.filters.mood = e.target.value;
-        this.renderUI();
+        this.applyLogFilters();
       }, DEBOUNCE_DELAY));
     }
+    if (elements.tagFilter) {
+      elements.tagFilter.addEventListener('change', (e) => {
+        state.filters.tag = e.target.value;
+        this.applyLogFilters();
+      });
+    }
+    if (elements.metricFilter) {
+      elements.metricFilter.addEventListener('change', (e) => {
+        state.filters.metric = e.target.value;
+        this.applyLogFilters();
+      });
+    }
+    document.querySelectorAll('[data-scale]').forEach(slider => {
+      slider.addEventListener('input', () => {
+        slider.dataset.set = 'true';
+        ui.updateScaleOutput(slider);
+      });
+    });
+    document.querySelectorAll('[data-clear]').forEach(button => {
+      button.addEventListener('click', () => {
+        const slider = document.getElementById(button.dataset.clear);
+        delete slider.dataset.set;
+        ui.updateScaleOutput(slider);
+        slider.focus();
+      });
+    });
+    if (elements.tagInput) {
+      elements.tagInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+          e.preventDefault();
+          if (elements.tagInput.value.trim()) this.addDraftTag(elements.tagInput.value);
+        } else if (e.key === 'Backspace' && !elements.tagInput.value && state.draftTags.length > 0) {
+          this.removeDraftTag(state.draftTags[state.draftTags.length - 1]);
+        }
+      });
+      elements.tagInput.addEventListener('blur', () => {
+        if (elements.tagInput.value.trim()) this.addDraftTag(elements.tagInput.value);
+      });
+    }
     if (elements.sortOrder) {
       elements.sortOrder.addEventListener('change', utils.debounce((e) => {
         state.filters.sort = e.target.value;
-        this.renderUI();
+        this.applyLogFilters();
       }, DEBOUNCE_DELAY));
     }
+    if (elements.logSearch) {
+      elements.logSearch.addEventListener('input', utils.debounce((e) => {
+        state.filters.search = e.target.value;
+        this.applyLogFilters();
+      }, DEBOUNCE_DELAY));
+    }
+    if (elements.dateFrom) {
+      elements.dateFrom.addEventListener('change', (e) => {
+        state.filters.from = e.target.value;
+        this.applyLogFilters();
+      });
+    }
+    if (elements.dateTo) {
+      elements.dateTo.addEventListener('change', (e) => {
+        state.filters.to = e.target.value;
+        this.applyLogFilters();
+      });
+    }
+    if (elements.listViewBtn) {
+      elements.listViewBtn.addEventListener('click', () => this.setLogView('list'));
+    }
+    if (elements.calendarViewBtn) {
+      elements.calendarViewBtn.addEventListener('click', () => this.setLogView('calendar'));
+    }
+    if (elements.calendarGrid) {
+      elements.calendarGrid.addEventListener('click', (e) => {
+        const button = e.target.closest('.calendar-day');
+        if (button) calendar.select(button.dataset.date, true);
+      });
+      elements.calendarGrid.addEventListener('keydown', (e) => calendar.handleKeydown(e));
+    }
+    if (elements.calendarPrev) {
+      elements.calendarPrev.addEventListener('click', () => calendar.select(calendar.shiftMonth(state.calendar.selected, -1)));
+    }
+    if (elements.calendarNext) {
+      elements.calendarNext.addEventListener('click', () => {
+        const next = calendar.shiftMonth(state.calendar.selected, 1);
+        calendar.select(next > state.today ? state.today : next);
+      });
+    }
+    if (elements.calendarToday) {
+      elements.calendarToday.addEventListener('click', () => calendar.select(state.today, true));
+    }
+    if (elements.clearLogFilters) {
+      elements.clearLogFilters.addEventListener('click', () => {
+        Object.assign(state.filters, { mood: 'all', tag: 'all', metric: 'all', sort: 'newest', search: '', from: '', to: '' });
+        this.applyLogFilters();
+      });
+    }
+    window.addEventListener('hashchange', () => {
+      this.readFiltersFromHash();
+      this.renderUI();
+    });
   },
-  handleMoodSubmit(e) {
+  async handleMoodSubmit(e) {
     e.preventDefault();
-    console.log('Form submitted');
     const mood = elements.moodSelect ? elements.moodSelect.value : '';
     const journalElem = document.getElementById('journal');
     const journal = journalElem ? journalElem.value : '';
-    console.log('Mood selected:', mood);
-    console.log('Journal text:', journal);
     if (!mood || mood === '') {
-      const moodError = document.getElementById('mood-error');
-      if (moodError) {
-        moodError.classList.add('show');
-        moodError.textContent = 'Please select your mood';
-      }
+      ui.setMoodError('Please select your mood');
       ui.showNotification('Please select a mood before saving', 'warning');
+      ui.focusMoodSelector();
       return;
     }
     ui.setButtonLoading(elements.submitBtn, true);
@@ -556,33 +5777,322 @@ const app = {
       id: generateId(),
       mood: mood,
       journal: utils.sanitizeInput(journal),
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      ...this.readCheckInFields()
     };
-    console.log('Created entry:', entry);
+    if (state.draftAttachments.length > 0) entry.attachments = [...state.draftAttachments];
     state.journalEntries.unshift(entry);
-    console.log('State after adding entry:', state.journalEntries);
-    const saveSuccess = this.saveData();
-    if (saveSuccess) {
+    try {
+      await storage.saveJournalEntry(entry);
       this.renderUI();
-      if (elements.moodForm) elements.moodForm.reset();
-      if (elements.moodSelector) {
-        const moodOptions = elements.moodSelector.querySelectorAll('.mood-option');
-        moodOptions.forEach(opt => opt.classList.remove('selected'));
-      }
-      state.selectedMood = null;
-      const moodError = document.getElementById('mood-error');
-      if (moodError) {
-        moodError.classList.remove('show');
-        moodError.textContent = '';
-      }
-      ui.showNotification('Journal entry saved successfully!', 'success');
-    } else {
-      ui.showNotification('Failed to save entry. Please try again.', 'danger');
-      state.journalEntries.shift();
+      this.resetJournalForm();
+      ui.focusItem(ui.entryContainer(), '.log-entry', entry.id, null, elements.moodSelector ? elements.moodSelector.querySelector('.mood-option') : null);
+      await drafts.clear();
+      this.commit('add journal entry', [commandHistory.change('journalEntries', null, entry)], 'Journal entry saved successfully!');
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to save entry. Please try again.');
+      state.journalEntries = state.journalEntries.filter(e => e.id !== entry.id);
     }
     ui.setButtonLoading(elements.submitBtn, false);
   },
-  addHabit() {
+  resetJournalForm() {
+    if (elements.moodForm) elements.moodForm.reset();
+    ui.updateMoodOptions(null);
+    state.selectedMood = null;
+    state.draftTags = [];
+    state.draftAttachments = [];
+    ui.resetCheckInFields();
+    ui.renderDraftAttachments([]);
+    ui.setJournalPreview(false);
+    ui.setMoodError('');
+  },
+  // Brings back the entry that was being written before a reload or lock, unless the form is already in use
+  async restoreDraft() {
+    const draft = await drafts.load();
+    await attachments.prune(draft);
+    if (!draft || drafts.isEmpty(draft) || !elements.journal) return;
+    if (elements.journal.value.trim() || state.selectedMood) return;
+    elements.journal.value = draft.journal || '';
+    if (draft.mood && moodScale.find(draft.mood)) ui.selectMood(draft.mood);
+    state.draftTags = Array.isArray(draft.tags) ? [...draft.tags] : [];
+    state.draftAttachments = Array.isArray(draft.attachments) ? [...draft.attachments] : [];
+    ui.renderDraftTags(state.draftTags);
+    ui.renderDraftAttachments(state.draftAttachments);
+    ui.showNotification('Restored your unsaved journal entry', 'info', 8000, {
+      label: 'Discard',
+      onClick: () => this.discardDraft()
+    });
+  },
+  async discardDraft() {
+    try {
+      await attachments.remove(state.draftAttachments);
+      this.resetJournalForm();
+      await drafts.clear();
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to discard the draft. Please try again.');
+    }
+  },
+  useJournalPrompt() {
+    const textarea = elements.journal;
+    if (!textarea) return;
+    ui.setJournalPreview(false);
+    const { template } = JOURNAL_PROMPTS[state.promptIndex];
+    const existing = textarea.value.replace(/\s+$/, '');
+    const start = existing ? existing.length + 2 : 0;
+    textarea.value = existing ? `${existing}\n\n${template}` : template;
+    // Leave the cursor on the template's first blank
+    const cursor = start + template.indexOf(' \n') + 1;
+    textarea.focus();
+    textarea.setSelectionRange(cursor, cursor);
+    drafts.schedule();
+  },
+  nextJournalPrompt() {
+    state.promptIndex = (state.promptIndex + 1) % JOURNAL_PROMPTS.length;
+    ui.renderJournalPrompt(state.promptIndex);
+  },
+  async addPhotos(files) {
+    const room = MAX_ATTACHMENTS - state.draftAttachments.length;
+    if (files.length > room) {
+      ui.showNotification(`You can attach up to ${MAX_ATTACHMENTS} photos to an entry`, 'warning');
+    }
+    ui.setButtonLoading(elements.addPhotoBtn, true);
+    for (const file of files.slice(0, Math.max(0, room))) {
+      try {
+        const record = await attachments.add(file);
+        state.draftAttachments.push(record.id);
+      } catch (error) {
+        this.handleStorageError(error, `Could not add ${file.name}. Please choose a photo.`);
+      }
+    }
+    ui.setButtonLoading(elements.addPhotoBtn, false);
+    await ui.renderDraftAttachments(state.draftAttachments);
+    drafts.schedule();
+  },
+  async removeDraftAttachment(id) {
+    state.draftAttachments = state.draftAttachments.filter(item => item !== id);
+    await ui.renderDraftAttachments(state.draftAttachments);
+    drafts.schedule();
+    try {
+      await attachments.remove([id]);
+    } catch (error) {
+      console.error('Error removing photo:', error);
+    }
+    if (elements.addPhotoBtn) elements.addPhotoBtn.focus();
+  },
+  // Saves any unsaved reflection note first, so switching periods never loses it
+  async showReviewPeriod(period, start) {
+    if (elements.reflectionNote && elements.reflectionNote.dataset.dirty === 'true') await this.saveReflection();
+    const currentStart = review.getRange(period, state.today).start;
+    state.review = { period, start: start && start < currentStart ? start : null };
+    this.renderUI();
+  },
+  async saveReflection(e) {
+    if (e) e.preventDefault();
+    if (!elements.reflectionNote) return;
+    const { period, start } = review.current();
+    const id = review.getId(period, start);
+    const note = utils.sanitizeInput(elements.reflectionNote.value).trim();
+    const existing = state.reflections.find(reflection => reflection.id === id) || null;
+    if ((existing ? existing.note : '') === note) {
+      delete elements.reflectionNote.dataset.dirty;
+      return;
+    }
+    const now = Date.now();
+    // Ids are derived from the period, so notes for the same week written on two devices merge
+    const updated = note
+      ? { id, period, start, note, createdAt: existing && existing.createdAt ? existing.createdAt : now, updatedAt: now }
+      : null;
+    ui.setButtonLoading(elements.saveReflectionBtn, true);
+    try {
+      if (updated) {
+        await storage.putRecord('reflections', updated);
+      } else {
+        await storage.deleteRecord('reflections', id);
+      }
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to save your reflection. Please try again.');
+      return;
+    } finally {
+      ui.setButtonLoading(elements.saveReflectionBtn, false);
+    }
+    state.reflections = [...state.reflections.filter(reflection => reflection.id !== id), ...(updated ? [updated] : [])];
+    delete elements.reflectionNote.dataset.dirty;
+    this.renderUI();
+    const label = `reflection for ${review.describe(period, start)}`;
+    if (updated) {
+      this.commit(`save ${label}`, [commandHistory.change('reflections', existing, updated)], 'Reflection saved');
+    } else {
+      this.commit(`remove ${label}`, [commandHistory.change('reflections', existing, null)], 'Reflection removed', 'info');
+    }
+  },
+  // Only the check-in fields the user actually filled in end up on the entry
+  readCheckInFields() {
+    const fields = {};
+    CHECK_IN_SCALES.forEach(({ key }) => {
+      const slider = document.querySelector(`[data-scale="${key}"]`);
+      if (slider && slider.dataset.set === 'true') fields[key] = parseInt(slider.value, 10);
+    });
+    const sleep = elements.sleepHours ? parseFloat(elements.sleepHours.value) : NaN;
+    if (Number.isFinite(sleep) && sleep >= 0 && sleep <= 24) fields.sleepHours = sleep;
+    if (elements.tagInput && elements.tagInput.value.trim()) this.addDraftTag(elements.tagInput.value);
+    if (state.draftTags.length > 0) fields.tags = [...state.draftTags];
+    return fields;
+  },
+  addDraftTag(text) {
+    text.split(',').map(part => utils.normalizeTag(part)).forEach(tag => {
+      if (tag && !state.draftTags.includes(tag) && state.draftTags.length < MAX_TAGS) state.draftTags.push(tag);
+    });
+    if (elements.tagInput) elements.tagInput.value = '';
+    ui.renderDraftTags(state.draftTags);
+    drafts.schedule();
+  },
+  removeDraftTag(tag) {
+    state.draftTags = state.draftTags.filter(t => t !== tag);
+    ui.renderDraftTags(state.draftTags);
+    drafts.schedule();
+    if (elements.tagInput) elements.tagInput.focus();
+  },
+  setLogView(view) {
+    state.filters.view = view;
+    state.addingEntryDate = null;
+    this.applyLogFilters();
+  },
+  jumpToDate(dateKey) {
+    state.filters.view = 'calendar';
+    state.addingEntryDate = null;
+    this.writeFiltersToHash();
+    calendar.select(dateKey, true);
+  },
+  // Targets of the keyboard shortcuts, shared with the command palette
+  startNewEntry() {
+    if (!elements.journal) return;
+    if (elements.journal.hidden) ui.setJournalPreview(false);
+    elements.journal.focus();
+  },
+  pickMoodByIndex(index) {
+    const option = shortcuts.moodOptions()[index];
+    if (!option) return false;
+    ui.selectMood(option.dataset.value);
+    drafts.schedule();
+    option.focus();
+    return true;
+  },
+  focusHabits() {
+    if (elements.habitInput) elements.habitInput.focus();
+  },
+  focusSearch() {
+    if (state.filters.view !== 'list') this.setLogView('list');
+    if (elements.logSearch) {
+      elements.logSearch.focus();
+      elements.logSearch.select();
+    }
+  },
+  async showReview(period) {
+    await this.showReviewPeriod(period, null);
+    if (elements.reviewPeriod) elements.reviewPeriod.focus();
+  },
+  startAddingEntry(dateKey) {
+    if (dateKey > state.today) return;
+    state.addingEntryDate = dateKey;
+    state.editingEntryId = null;
+    this.renderUI();
+  },
+  cancelAddingEntry() {
+    const dateKey = state.addingEntryDate;
+    state.addingEntryDate = null;
+    this.renderUI();
+    if (dateKey && elements.calendarGrid) {
+      const button = elements.calendarGrid.querySelector(`[data-date="${dateKey}"]`);
+      if (button) button.focus();
+    }
+  },
+  async addEntryForDay(dateKey, { mood, time, journal }) {
+    if (!mood) {
+      ui.showNotification('Please select a mood before saving', 'warning');
+      return;
+    }
+    const [hours, minutes] = /^\d{2}:\d{2}$/.test(time) ? time.split(':').map(Number) : [12, 0];
+    const date = utils.parseDateKey(dateKey);
+    date.setHours(hours, minutes);
+    const entry = {
+      id: generateId(),
+      mood,
+      journal: utils.sanitizeInput(journal),
+      // A time later today would put the entry in the future
+      timestamp: Math.min(date.getTime(), Date.now())
+    };
+    state.journalEntries.unshift(entry);
+    try {
+      await storage.saveJournalEntry(entry);
+    } catch (error) {
+      state.journalEntries = state.journalEntries.filter(e => e.id !== entry.id);
+      this.handleStorageError(error, 'Failed to save entry. Please try again.');
+      return;
+    }
+    state.addingEntryDate = null;
+    this.renderUI();
+    ui.focusItem(elements.calendarDay, '.log-entry', entry.id);
+    this.commit('add journal entry', [commandHistory.change('journalEntries', null, entry)], `Entry added for ${utils.formatDate(entry.timestamp)}`);
+  },
+  startEditingEntry(id) {
+    state.editingEntryId = id;
+    this.renderUI();
+  },
+  cancelEditingEntry() {
+    const id = state.editingEntryId;
+    state.editingEntryId = null;
+    this.renderUI();
+    ui.focusItem(ui.entryContainer(), '.log-entry', id, '.entry-action');
+  },
+  async updateEntry(id, changes) {
+    const entry = state.journalEntries.find(e => e.id === id);
+    if (!entry) return;
+    const journal = utils.sanitizeInput(changes.journal);
+    if (entry.mood === changes.mood && entry.journal === journal) {
+      this.cancelEditingEntry();
+      return;
+    }
+    const previous = utils.cloneRecord(entry);
+    const now = Date.now();
+    const history = Array.isArray(entry.history) ? entry.history : [];
+    entry.history = [...history, { mood: entry.mood, journal: entry.journal, replacedAt: now }];
+    entry.mood = changes.mood;
+    entry.journal = journal;
+    entry.updatedAt = now;
+    try {
+      await storage.saveJournalEntry(entry);
+    } catch (error) {
+      Object.keys(entry).forEach(key => delete entry[key]);
+      Object.assign(entry, previous);
+      this.handleStorageError(error, 'Failed to update entry. Please try again.');
+      return;
+    }
+    state.editingEntryId = null;
+    this.renderUI();
+    ui.focusItem(ui.entryContainer(), '.log-entry', id, '.entry-action');
+    this.commit('edit journal entry', [commandHistory.change('journalEntries', previous, entry)], 'Journal entry updated');
+  },
+  async deleteEntry(id) {
+    const index = state.journalEntries.findIndex(e => e.id === id);
+    if (index === -1) return;
+    const neighbour = ui.neighbourId(ui.entryContainer(), '.log-entry', id);
+    const [entry] = state.journalEntries.splice(index, 1);
+    try {
+      await storage.deleteJournalEntry(id);
+    } catch (error) {
+      state.journalEntries.splice(index, 0, entry);
+      this.handleStorageError(error, 'Failed to delete entry. Please try again.');
+      return;
+    }
+    if (state.editingEntryId === id) state.editingEntryId = null;
+    this.renderUI();
+    const fallback = state.filters.view === 'calendar'
+      ? elements.calendarGrid && elements.calendarGrid.querySelector('.calendar-day[tabindex="0"]')
+      : document.getElementById('log-heading');
+    ui.focusItem(ui.entryContainer(), '.log-entry', neighbour, null, fallback);
+    this.commit('delete journal entry', [commandHistory.change('journalEntries', entry, null, index)], 'Journal entry deleted', 'info');
+  },
+  async addHabit() {
     if (!elements.habitInput || !elements.addHabitBtn) return;
     const habitText = elements.habitInput.value.trim();
     if (!habitText) {
@@ -590,86 +6100,648 @@ const app = {
       elements.habitInput.focus();
       return;
     }
+    const schedule = this.readScheduleInput();
+    if (!schedule) return;
+    const measure = this.readGoalInput();
+    if (!measure) return;
     ui.setButtonLoading(elements.addHabitBtn, true);
-    const habit = {
+    const habit = habitLog.normalize({
       id: generateId(),
       text: utils.sanitizeInput(habitText),
-      completed: false,
+      schedule,
+      completions: {},
+      ...measure,
+      order: habitLog.nextOrder(state.habits),
       createdAt: Date.now()
-    };
+    });
     state.habits.push(habit);
-    const saveSuccess = this.saveData();
-    if (saveSuccess) {
+    try {
+      await storage.saveHabit(habit);
       this.renderUI();
       elements.habitInput.value = '';
-      ui.showNotification('Habit added successfully!', 'success');
-    } else {
-      ui.showNotification('Failed to save habit. Please try again.', 'danger');
-      state.habits.pop();
+      this.resetScheduleInput();
+      this.resetGoalInput();
+      this.commit('add habit', [commandHistory.change('habits', null, habit)], 'Habit added successfully!');
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to save habit. Please try again.');
+      state.habits = state.habits.filter(h => h.id !== habit.id);
     }
     ui.setButtonLoading(elements.addHabitBtn, false);
   },
-  toggleHabit(id) {
+  readScheduleInput() {
+    const type = elements.habitSchedule ? elements.habitSchedule.value : 'daily';
+    if (type === 'weekdays') {
+      const checked = elements.habitWeekdays
+        ? [...elements.habitWeekdays.querySelectorAll('input:checked')].map(input => Number(input.value))
+        : [];
+      if (checked.length === 0) {
+        ui.showNotification('Pick at least one weekday for this habit', 'warning');
+        return null;
+      }
+      return habitLog.normalizeSchedule({ type, days: checked });
+    }
+    if (type === 'weekly' || type === 'monthly') {
+      const target = elements.habitTarget ? elements.habitTarget.value : 1;
+      return habitLog.normalizeSchedule({ type, target });
+    }
+    return { type: 'daily' };
+  },
+  // Yes/no habits store nothing extra; count and duration habits get a daily goal (and a unit for counts)
+  readGoalInput() {
+    const kind = elements.habitKind ? elements.habitKind.value : 'check';
+    if (!HABIT_KINDS[kind] || kind === 'check') return {};
+    const goal = Number(elements.habitGoal.value);
+    if (!habitLog.isValidGoal(goal)) {
+      ui.showNotification(`Enter a daily goal from 1 to ${MAX_HABIT_GOAL}`, 'warning');
+      elements.habitGoal.focus();
+      return null;
+    }
+    const measure = { kind, goal };
+    const unit = kind === 'count' && elements.habitUnit ? utils.sanitizeInput(elements.habitUnit.value.trim()) : '';
+    if (unit) measure.unit = unit;
+    return measure;
+  },
+  resetGoalInput() {
+    if (elements.habitKind) elements.habitKind.value = 'check';
+    if (elements.habitGoal) elements.habitGoal.value = 8;
+    if (elements.habitUnit) elements.habitUnit.value = '';
+    ui.updateGoalControls();
+  },
+  resetScheduleInput() {
+    if (elements.habitSchedule) elements.habitSchedule.value = 'daily';
+    if (elements.habitWeekdays) {
+      elements.habitWeekdays.querySelectorAll('input').forEach(input => { input.checked = false; });
+    }
+    if (elements.habitTarget) elements.habitTarget.value = 3;
+    ui.updateScheduleControls();
+  },
+  async toggleHabit(id, dateKey = state.selectedHabitDate) {
     const habit = state.habits.find(h => h.id === id);
     if (habit) {
-      habit.completed = !habit.completed;
-      this.saveData();
+      const completed = !habitLog.isCompletedOn(habit, dateKey);
+      const previous = utils.cloneRecord(habit);
+      habitLog.setCompleted(habit, dateKey, completed);
+      habit.updatedAt = Date.now();
+      try {
+        await storage.saveHabit(habit);
+      } catch (error) {
+        habitLog.setCompleted(habit, dateKey, !completed);
+        habit.updatedAt = previous.updatedAt;
+        this.handleStorageError(error, 'Failed to update habit. Please try again.');
+        this.renderUI();
+        return;
+      }
       this.renderUI();
-      if (habit.completed) {
-        ui.showNotification('Habit completed! Great job! 🎉', 'success');
+      const changes = [commandHistory.change('habits', previous, habit)];
+      if (completed) {
+        this.commit(`complete "${habit.text}"`, changes, 'Habit completed! Great job! 🎉');
+      } else {
+        commandHistory.record(`uncheck "${habit.text}"`, changes);
       }
     }
   },
-  deleteHabit(id) {
+  async adjustHabit(id, delta, dateKey = state.selectedHabitDate) {
     const habit = state.habits.find(h => h.id === id);
-    if (!habit) return;
-    if (!confirm(`Are you sure you want to delete the habit "${habit.text}"?`)) return;
+    if (!habit || !habitLog.isQuantitative(habit)) return;
+    const updated = utils.cloneRecord(habit);
+    habitLog.setAmount(updated, dateKey, habitLog.getAmount(habit, dateKey) + delta);
+    if (habitLog.getAmount(updated, dateKey) === habitLog.getAmount(habit, dateKey)) return;
+    updated.updatedAt = Date.now();
+    try {
+      await storage.saveHabit(updated);
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to update habit. Please try again.');
+      return;
+    }
+    state.habits = state.habits.map(h => (h.id === id ? updated : h));
+    this.renderUI();
+    const changes = [commandHistory.change('habits', habit, updated)];
+    const label = `log ${habitLog.formatAmount(updated, Math.abs(delta))} of "${habit.text}"`;
+    if (!habitLog.isCompletedOn(habit, dateKey) && habitLog.isCompletedOn(updated, dateKey)) {
+      this.commit(label, changes, 'Goal reached! Great job! 🎉');
+    } else {
+      commandHistory.record(label, changes);
+    }
+  },
+  async toggleHabitTimer(id, dateKey = state.selectedHabitDate) {
+    try {
+      if (!habitTimers.isRunning(id)) {
+        await habitTimers.start(id, dateKey);
+        this.renderUI();
+        return;
+      }
+      const { dateKey: startedOn, minutes } = await habitTimers.stop(id);
+      this.renderUI();
+      if (minutes >= 0.5) {
+        await this.adjustHabit(id, minutes, startedOn);
+      } else {
+        ui.showNotification('Timer stopped after less than 30 seconds, so nothing was logged', 'info', 3000);
+      }
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to update the timer. Please try again.');
+    }
+  },
+  async deleteHabit(id) {
+    const index = state.habits.findIndex(h => h.id === id);
+    if (index === -1) return;
+    const neighbour = ui.neighbourId(elements.habitList, '.habit-item', id);
+    const habit = state.habits[index];
+    try {
+      await storage.deleteHabit(id);
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to delete habit. Please try again.');
+      return;
+    }
     state.habits = state.habits.filter(h => h.id !== id);
-    this.saveData();
+    if (state.editingHabitId === id) state.editingHabitId = null;
+    if (habitTimers.isRunning(id)) await habitTimers.stop(id);
+    this.renderUI();
+    ui.focusItem(elements.habitList, '.habit-item', neighbour, null, elements.habitInput);
+    this.commit(`delete "${habit.text}"`, [commandHistory.change('habits', habit, null, index)], `Habit "${habit.text}" deleted`, 'info');
+  },
+  startEditingHabit(id) {
+    state.editingHabitId = id;
+    this.renderUI();
+  },
+  cancelEditingHabit() {
+    const id = state.editingHabitId;
+    state.editingHabitId = null;
+    this.renderUI();
+    ui.focusItem(elements.habitList, '.habit-item', id, '.edit-habit');
+  },
+  async updateHabit(id, changes) {
+    const habit = state.habits.find(h => h.id === id);
+    if (!habit) return;
+    const text = utils.sanitizeInput(changes.text.trim());
+    if (!text) {
+      ui.showNotification('Please enter a habit name', 'warning');
+      return;
+    }
+    const updated = { ...habit, text };
+    const optional = {
+      category: utils.sanitizeInput(changes.category.trim()),
+      icon: HABIT_ICONS[changes.icon] ? changes.icon : '',
+      color: changes.color
+    };
+    if (habitLog.isQuantitative(habit)) {
+      const goal = Number(changes.goal);
+      if (!habitLog.isValidGoal(goal)) {
+        ui.showNotification(`Enter a daily goal from 1 to ${MAX_HABIT_GOAL}`, 'warning');
+        return;
+      }
+      updated.goal = goal;
+      if (habitLog.getKind(habit) === 'count') optional.unit = utils.sanitizeInput(changes.unit.trim());
+      habitLog.applyGoal(updated);
+    }
+    Object.keys(optional).forEach(key => {
+      if (optional[key]) {
+        updated[key] = optional[key];
+      } else {
+        delete updated[key];
+      }
+    });
+    if (JSON.stringify(updated) === JSON.stringify(habit)) {
+      this.cancelEditingHabit();
+      return;
+    }
+    updated.updatedAt = Date.now();
+    try {
+      await storage.saveHabit(updated);
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to update habit. Please try again.');
+      return;
+    }
+    state.habits = state.habits.map(h => (h.id === id ? updated : h));
+    state.editingHabitId = null;
+    this.renderUI();
+    ui.focusItem(elements.habitList, '.habit-item', id, '.edit-habit');
+    this.commit(`edit "${updated.text}"`, [commandHistory.change('habits', habit, updated)], 'Habit updated');
+  },
+  // Moves a habit next to another one, renumbering `order` for every habit whose position changed.
+  // Dropping onto a habit in another category moves it into that category too.
+  async moveHabit(id, targetId, position = 'before') {
+    const habit = state.habits.find(h => h.id === id);
+    const target = state.habits.find(h => h.id === targetId);
+    if (!habit || !target || habit === target) return;
+    const ordered = habitLog.sort(state.habits).filter(h => h !== habit);
+    ordered.splice(ordered.indexOf(target) + (position === 'after' ? 1 : 0), 0, habit);
+    const now = Date.now();
+    const changes = [];
+    const reordered = ordered.map((h, order) => {
+      const updated = { ...h, order };
+      if (h === habit && (h.category || '') !== (target.category || '')) {
+        if (target.category) {
+          updated.category = target.category;
+        } else {
+          delete updated.category;
+        }
+      }
+      if (JSON.stringify(updated) === JSON.stringify(h)) return h;
+      updated.updatedAt = now;
+      changes.push(commandHistory.change('habits', h, updated));
+      return updated;
+    });
+    try {
+      for (const change of changes) {
+        await storage.saveHabit(change.after);
+      }
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to move habit. Please try again.');
+      return;
+    }
+    state.habits = reordered;
+    this.renderUI();
+    commandHistory.record(`move "${habit.text}"`, changes);
+  },
+  // Archived habits drop out of the daily list, progress and reminders but keep their history
+  async setHabitArchived(id, archived) {
+    const habit = state.habits.find(h => h.id === id);
+    if (!habit) return;
+    const neighbour = ui.neighbourId(elements.habitList, '.habit-item', id);
+    const now = Date.now();
+    const updated = { ...habit, updatedAt: now };
+    if (archived) {
+      updated.archived = true;
+      updated.archivedAt = now;
+    } else {
+      delete updated.archived;
+      delete updated.archivedAt;
+    }
+    try {
+      await storage.saveHabit(updated);
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to update habit. Please try again.');
+      return;
+    }
+    state.habits = state.habits.map(h => (h.id === id ? updated : h));
+    if (archived && habitTimers.isRunning(id)) await habitTimers.stop(id);
     this.renderUI();
-    ui.showNotification(`Habit "${habit.text}" deleted`, 'info', 6000);
+    // The habit usually leaves the current filter, so focus moves on to its neighbour
+    if (!ui.focusItem(elements.habitList, '.habit-item', id, '.archive-habit')) {
+      ui.focusItem(elements.habitList, '.habit-item', neighbour, null, elements.habitInput);
+    }
+    const changes = [commandHistory.change('habits', habit, updated)];
+    if (archived) {
+      this.commit(`archive "${habit.text}"`, changes, `Habit "${habit.text}" archived. Choose "Archived" in the habit filter to see it.`, 'info');
+    } else {
+      this.commit(`unarchive "${habit.text}"`, changes, `Habit "${habit.text}" is back in your daily list`);
+    }
   },
   async handleImport(e) {
     const file = e.target.files[0];
     if (!file) return;
     try {
       ui.setButtonLoading(elements.importBtn, true);
-      const data = await storage.importData(file);
-      state.journalEntries = data.journalEntries || [];
-      state.habits = data.habits || [];
+      const backup = await storage.readBackup(file, () => ui.requestPassphrase({
+        title: 'Encrypted backup',
+        message: 'Enter the passphrase this backup was created with.'
+      }));
+      if (!backup) return;
+      const { data, invalid } = importer.validate(backup);
+      const plan = importer.plan({ journalEntries: state.journalEntries, habits: state.habits, moods: state.moods, reflections: state.reflections }, data);
+      const mode = await ui.showImportPreview(plan.summary, invalid, data);
+      if (!mode) return;
+      const result = mode === 'replace' ? data : plan.merged;
+      await snapshots.takeSafely('before-import');
+      await storage.replaceAll(result);
+      const changes = commandHistory.diff(state, result);
+      state.journalEntries = result.journalEntries;
+      state.habits = result.habits;
+      state.moods = result.moods;
+      state.reflections = result.reflections;
       this.renderUI();
-      ui.showNotification('Data imported successfully!', 'success');
+      const skipped = invalid.journalEntries + invalid.habits + invalid.moods + invalid.reflections;
+      this.commit(
+        'import',
+        changes,
+        `Data imported successfully!${skipped > 0 ? ` ${skipped} invalid record${skipped === 1 ? ' was' : 's were'} skipped.` : ''}`
+      );
     } catch (error) {
       console.error('Import error:', error);
-      ui.showNotification('Failed to import data. Please check the file format.', 'danger');
+      if (storage.isQuotaError(error)) {
+        this.handleStorageError(error);
+      } else if (error.name === 'PassphraseError') {
+        ui.showNotification(error.message, 'danger');
+      } else {
+        ui.showNotification('Failed to import data. Please check the file format.', 'danger');
+      }
     } finally {
       ui.setButtonLoading(elements.importBtn, false);
       e.target.value = '';
     }
   },
-  clearAllData() {
-    if (!confirm('Are you sure you want to delete ALL your data? This cannot be undone.')) return;
-    storage.clearAll();
+  // Saves the edited mood scale; moods that were removed have their entries moved to the chosen mood
+  async saveMoodScale(e) {
+    e.preventDefault();
+    const rows = [...elements.moodList.querySelectorAll('.mood-row')];
+    const keptRows = rows.filter(row => !row.classList.contains('removed'));
+    const now = Date.now();
+    const moods = keptRows.map((row, index) => {
+      const field = name => row.querySelector(`[name="${name}"]`).value.trim();
+      return {
+        id: row.dataset.id,
+        label: field('label'),
+        emoji: field('emoji'),
+        score: parseFloat(field('score')),
+        color: field('color'),
+        order: index
+      };
+    });
+    const labels = moods.map(mood => mood.label.toLowerCase());
+    let error = '';
+    if (moods.length < 2) {
+      error = 'Keep at least two moods';
+    } else if (moods.some(mood => !mood.label || !mood.emoji)) {
+      error = 'Every mood needs a name and an emoji';
+    } else if (moods.some(mood => !Number.isFinite(mood.score))) {
+      error = 'Every mood needs a numeric score';
+    } else if (new Set(labels).size !== labels.length) {
+      error = 'Mood names must be unique';
+    }
+    if (error) {
+      ui.setFieldError(elements.moodsError, error);
+      return;
+    }
+    const replacements = {};
+    rows.filter(row => row.classList.contains('removed')).forEach(row => {
+      const target = row.querySelector('[name="remapTo"]');
+      replacements[row.dataset.id] = target && keptRows.some(kept => kept.dataset.id === target.value)
+        ? target.value
+        : moods[0].id;
+    });
+    // Only moods that actually changed get a new updatedAt, so merges keep working per mood
+    const previous = new Map(moodScale.list().map(mood => [mood.id, mood]));
+    const savedMoods = moods.map(mood => {
+      const old = previous.get(mood.id);
+      const unchanged = old && ['label', 'emoji', 'score', 'color', 'order'].every(key => old[key] === mood[key]);
+      return unchanged ? old : { ...mood, updatedAt: now };
+    });
+    const data = {
+      journalEntries: moodScale.remapEntries(state.journalEntries, replacements),
+      habits: state.habits,
+      moods: savedMoods,
+      reflections: state.reflections
+    };
+    try {
+      await storage.replaceAll(data);
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to save your moods. Please try again.');
+      return;
+    }
+    const changes = commandHistory.diff(state, data);
+    state.journalEntries = data.journalEntries;
+    state.moods = data.moods;
+    ui.closeModal(elements.moodsDialog);
+    this.renderUI();
+    this.commit('mood changes', changes, 'Moods updated');
+  },
+  async saveReminderSettings(e) {
+    e.preventDefault();
+    const settings = {
+      checkIn: {
+        enabled: elements.checkInEnabled.checked,
+        time: elements.checkInTime.value || DEFAULT_REMINDER_SETTINGS.checkIn.time
+      },
+      quietHours: {
+        enabled: elements.quietHoursEnabled.checked,
+        start: elements.quietStart.value || DEFAULT_REMINDER_SETTINGS.quietHours.start,
+        end: elements.quietEnd.value || DEFAULT_REMINDER_SETTINGS.quietHours.end
+      },
+      snoozeMinutes: parseInt(elements.snoozeMinutes.value, 10) || DEFAULT_REMINDER_SETTINGS.snoozeMinutes
+    };
+    const changedHabits = [];
+    elements.habitReminderList.querySelectorAll('input[type="time"]').forEach(input => {
+      const habit = state.habits.find(h => h.id === input.dataset.habitId);
+      const reminderTime = input.value || null;
+      if (habit && (habit.reminderTime || null) !== reminderTime) {
+        changedHabits.push({ habit, reminderTime });
+      }
+    });
+    try {
+      await reminders.saveSettings(settings);
+      for (const { habit, reminderTime } of changedHabits) {
+        const updated = { ...habit, updatedAt: Date.now() };
+        if (reminderTime) {
+          updated.reminderTime = reminderTime;
+        } else {
+          delete updated.reminderTime;
+        }
+        await storage.saveHabit(updated);
+        state.habits = state.habits.map(h => (h.id === habit.id ? updated : h));
+      }
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to save reminder settings. Please try again.');
+      return;
+    }
+    ui.closeModal(elements.remindersDialog);
+    reminders.check();
+    ui.showNotification('Reminder settings saved', 'success');
+  },
+  async saveSyncSettings(e) {
+    e.preventDefault();
+    const settings = {
+      ...sync.settings,
+      enabled: elements.syncEnabled.checked,
+      url: elements.syncUrl.value.trim(),
+      token: elements.syncToken.value.trim()
+    };
+    if (settings.enabled && vault.isEnabled()) {
+      ui.setFieldError(elements.syncError, 'Sync can\'t be turned on while a passphrase is set, because records are sent to the server unencrypted');
+      elements.syncEnabled.focus();
+      return;
+    }
+    if (settings.enabled) {
+      let url = null;
+      try {
+        url = new URL(settings.url);
+      } catch (error) {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        ui.setFieldError(elements.syncError, 'Enter the full address of your sync server, starting with https://');
+        elements.syncUrl.focus();
+        return;
+      }
+    }
+    try {
+      await sync.saveSettings(settings);
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to save sync settings. Please try again.');
+      return;
+    }
+    ui.closeModal(elements.syncDialog);
+    ui.showNotification(settings.enabled ? 'Sync settings saved' : 'Sync turned off', 'success');
+  },
+  async handleExport(e) {
+    e.preventDefault();
+    const format = elements.exportForm.elements.exportFormat.value;
+    const range = {
+      from: elements.exportFrom ? elements.exportFrom.value : '',
+      to: elements.exportTo ? elements.exportTo.value : ''
+    };
+    if (range.from && range.to && range.from > range.to) {
+      ui.showNotification('The start date must be before the end date', 'warning');
+      return;
+    }
+    ui.closeModal(elements.exportDialog);
+    try {
+      await exporter.export(format, range);
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to export data.');
+    }
+  },
+  async clearAllData() {
+    if (!confirm('Are you sure you want to delete ALL your data? You can undo this until you close the app, or restore it later from Backups.')) return;
+    await snapshots.takeSafely('before-clear');
+    try {
+      await storage.clearAll();
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to clear data. Please try again.');
+      return;
+    }
+    const changes = commandHistory.diff(state, { journalEntries: [], habits: [], moods: [], reflections: [] });
     state.journalEntries = [];
     state.habits = [];
+    state.moods = [];
+    state.reflections = [];
+    this.renderUI();
+    this.commit('clear all data', changes, 'All data has been cleared', 'info');
+  },
+  async restoreSnapshot(snapshot) {
+    if (!confirm(`Restore "${snapshots.describe(snapshot)}"? Your current data will be replaced.`)) return;
+    try {
+      const data = await storage.readSnapshot(snapshot);
+      await snapshots.takeSafely('before-restore');
+      await storage.replaceAll(data);
+      const changes = commandHistory.diff(state, data);
+      state.journalEntries = data.journalEntries;
+      state.habits = data.habits.map(habit => habitLog.normalize(habit));
+      state.moods = data.moods;
+      state.reflections = data.reflections;
+      state.editingEntryId = null;
+      state.editingHabitId = null;
+      ui.closeModal(elements.backupsDialog);
+      this.renderUI();
+      this.commit('restore snapshot', changes, 'Snapshot restored');
+    } catch (error) {
+      this.handleStorageError(error, 'Failed to restore the snapshot. Please try again.');
+    }
+  },
+  async downloadSnapshot(snapshot) {
+    try {
+      await storage.downloadBackup(await storage.readSnapshot(snapshot), snapshot.createdAt);
+    } catch (error) {
+      console.error('Snapshot download error:', error);
+      ui.showNotification('Failed to download the snapshot.', 'danger');
+    }
+  },
+  applyLogFilters() {
+    this.writeFiltersToHash();
+    this.renderUI();
+    // The log isn't a live region (it re-renders on every change), so only the filter result is announced
+    if (state.filters.view === 'list' && elements.log) {
+      const count = elements.log.querySelectorAll('.log-entry').length;
+      ui.announce(count === 0 ? 'No matching entries' : `${count} ${count === 1 ? 'entry' : 'entries'} shown`);
+    }
+  },
+  // Log filters live in the URL hash (e.g. #search=interview&from=2024-03-01) so searches can be bookmarked
+  readFiltersFromHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const isDateKey = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+    state.filters.search = params.get('search') || '';
+    state.filters.mood = params.get('mood') || 'all';
+    state.filters.tag = params.get('tag') || 'all';
+    state.filters.metric = METRIC_FILTERS[params.get('metric')] ? params.get('metric') : 'all';
+    state.filters.sort = params.get('sort') === 'oldest' ? 'oldest' : 'newest';
+    state.filters.from = isDateKey(params.get('from')) ? params.get('from') : '';
+    state.filters.to = isDateKey(params.get('to')) ? params.get('to') : '';
+    state.filters.view = params.get('view') === 'calendar' ? 'calendar' : 'list';
+  },
+  writeFiltersToHash() {
+    const params = new URLSearchParams();
+    const { search, mood, tag, metric, sort, from, to, view } = state.filters;
+    if (search.trim()) params.set('search', search.trim());
+    if (mood !== 'all') params.set('mood', mood);
+    if (tag !== 'all') params.set('tag', tag);
+    if (metric !== 'all') params.set('metric', metric);
+    if (sort !== 'newest') params.set('sort', sort);
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    if (view !== 'list') params.set('view', view);
+    const hash = params.toString();
+    const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+    history.replaceState(null, '', url);
+  },
+  // Habit checkboxes show the selected day; when the local date changes, move "today" forward
+  scheduleDayRollover() {
+    const now = new Date();
+    const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    clearTimeout(this.rolloverTimer);
+    this.rolloverTimer = setTimeout(() => {
+      this.checkDayRollover();
+      this.scheduleDayRollover();
+    }, nextMidnight - now + 1000);
+  },
+  checkDayRollover() {
+    const todayKey = utils.toDateKey();
+    if (todayKey === state.today) return;
+    if (state.selectedHabitDate === state.today) {
+      state.selectedHabitDate = todayKey;
+    }
+    state.today = todayKey;
     this.renderUI();
-    ui.showNotification('All data has been cleared', 'info');
+    if (!vault.isLocked()) snapshots.ensureDaily();
   },
   renderUI() {
-    console.log('Rendering UI with entries:', state.journalEntries);
+    if (state.filters.mood !== 'all' && !moodScale.find(state.filters.mood)) state.filters.mood = 'all';
+    if (state.selectedMood && !moodScale.find(state.selectedMood)) state.selectedMood = null;
+    ui.renderMoodControls(moodScale.list());
+    const tags = utils.collectTags(state.journalEntries);
+    if (state.filters.tag !== 'all' && !tags.includes(state.filters.tag)) tags.push(state.filters.tag);
+    ui.renderCheckInFilters(tags);
+    if (elements.trendGranularity) elements.trendGranularity.value = state.filters.trend;
+    if (elements.habitDate) {
+      elements.habitDate.max = state.today;
+      elements.habitDate.value = state.selectedHabitDate;
+    }
+    const categories = habitLog.getCategories(state.habits);
+    ui.renderHabitFilters(categories);
+    if (state.filters.habitStatus.startsWith('category:') && !categories.includes(state.filters.habitStatus.slice('category:'.length))) {
+      state.filters.habitStatus = 'all';
+    }
     if (elements.habitFilter) elements.habitFilter.value = state.filters.habitStatus;
     if (elements.moodFilter) elements.moodFilter.value = state.filters.mood;
+    if (elements.tagFilter) elements.tagFilter.value = state.filters.tag;
+    if (elements.metricFilter) elements.metricFilter.value = state.filters.metric;
     if (elements.sortOrder) elements.sortOrder.value = state.filters.sort;
-    ui.renderHabits(state.habits, state.filters.habitStatus);
-    ui.renderJournalEntries(
-      state.journalEntries, 
-      state.filters.mood, 
-      state.filters.sort
-    );
+    if (elements.logSearch && elements.logSearch.value !== state.filters.search) {
+      elements.logSearch.value = state.filters.search;
+    }
+    if (elements.dateFrom) elements.dateFrom.value = state.filters.from;
+    if (elements.dateTo) elements.dateTo.value = state.filters.to;
+    ui.renderHabits(state.habits, state.filters.habitStatus, state.selectedHabitDate);
+    const calendarView = state.filters.view === 'calendar';
+    [elements.logSearchBar, elements.logControls, elements.log].forEach(element => {
+      if (element) element.hidden = calendarView;
+    });
+    if (elements.logCalendar) elements.logCalendar.hidden = !calendarView;
+    if (elements.listViewBtn) elements.listViewBtn.setAttribute('aria-pressed', String(!calendarView));
+    if (elements.calendarViewBtn) elements.calendarViewBtn.setAttribute('aria-pressed', String(calendarView));
+    // Only the visible view is rendered, so an entry being edited exists once on the page
+    if (calendarView) {
+      calendar.render(state.journalEntries, state.habits);
+    } else {
+      ui.renderJournalEntries(state.journalEntries, state.filters);
+    }
     ui.updateStats(state.journalEntries, state.habits);
+    dashboard.render(state.journalEntries, state.habits, state.filters.trend);
+    review.render(state.journalEntries, state.habits, state.reflections);
   }
 };
 
 document.addEventListener('DOMContentLoaded', () => {
-  app.init();
+  app.init().catch(error => {
+    console.error('Error starting app:', error);
+    ui.showNotification('Something went wrong while starting the app.', 'danger');
+  });
 });
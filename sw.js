@@ -0,0 +1,99 @@
+// Service worker: precaches the app shell so Mindful Moments works offline.
+// Bump CACHE_VERSION whenever a shell file changes so clients pick up the update.
+const CACHE_VERSION = 'v16';
+const SHELL_CACHE = `mindful-moments-shell-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+  './',
+  './index.html',
+  './style.css',
+  './script.js',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+  './icons/icon-maskable-512.png',
+  './icons/apple-touch-icon.png',
+  // Icon font, vendored so icons show offline from the first visit. Only the styles the app uses are
+  // precached; browsers that can't read woff2 fetch the .ttf fallback and cache it on first use.
+  './vendor/fontawesome/css/all.min.css',
+  './vendor/fontawesome/webfonts/fa-solid-900.woff2',
+  './vendor/fontawesome/webfonts/fa-regular-400.woff2'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(APP_SHELL);
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key !== SHELL_CACHE)
+      .map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+// The page asks a waiting worker to take over once the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  // Requests that opt out of caching, like sync with a server on this origin, go straight to the network
+  if (request.method !== 'GET' || request.cache === 'no-store') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      const cached = await caches.match('./index.html', { cacheName: SHELL_CACHE });
+      try {
+        return await fetch(request);
+      } catch (error) {
+        return cached || Response.error();
+      }
+    })());
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
+
+// Reminder notifications: "Snooze" is handed to the open page, a plain click focuses or opens the app
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { key } = event.notification.data || {};
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (event.action === 'snooze') {
+      windows.forEach(client => client.postMessage({ type: 'REMINDER_SNOOZE', key }));
+      return;
+    }
+    if (windows.length > 0) {
+      await windows[0].focus();
+      windows[0].postMessage({ type: 'REMINDER_OPEN', key });
+    } else {
+      await self.clients.openWindow('./');
+    }
+  })());
+});
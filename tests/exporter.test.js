@@ -0,0 +1,75 @@
+// CSV escaping and date-ranged exports
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers');
+
+let window;
+let exporter;
+
+before(async () => {
+  const app = await loadApp();
+  window = app.window;
+  exporter = app.get('exporter');
+});
+
+after(() => {
+  window.close();
+});
+
+test('csvField leaves plain values alone', () => {
+  assert.strictEqual(exporter.csvField('Good day'), 'Good day');
+  assert.strictEqual(exporter.csvField(7), '7');
+  assert.strictEqual(exporter.csvField(null), '');
+  assert.strictEqual(exporter.csvField(undefined), '');
+});
+
+test('csvField quotes commas, quotes and line breaks', () => {
+  assert.strictEqual(exporter.csvField('tired, but ok'), '"tired, but ok"');
+  assert.strictEqual(exporter.csvField('she said "hi"'), '"she said ""hi"""');
+  assert.strictEqual(exporter.csvField('line one\nline two'), '"line one\nline two"');
+});
+
+test('csvField defuses spreadsheet formulas', () => {
+  assert.strictEqual(exporter.csvField('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+  assert.strictEqual(exporter.csvField('+1 day'), "'+1 day");
+  assert.strictEqual(exporter.csvField('-5'), "'-5");
+  assert.strictEqual(exporter.csvField('@SUM(A1)'), "'@SUM(A1)");
+});
+
+test('filterRange keeps only records and habit history inside the range', () => {
+  const at = dateKey => new Date(`${dateKey}T12:00:00`).getTime();
+  const data = {
+    journalEntries: [
+      { id: 'before', mood: 'happy', journal: '', timestamp: at('2024-01-10') },
+      { id: 'inside', mood: 'happy', journal: '', timestamp: at('2024-02-10') }
+    ],
+    habits: [
+      {
+        id: 'h1',
+        text: 'Read',
+        kind: 'count',
+        goal: 2,
+        completions: { '2024-01-10': true, '2024-02-10': true },
+        amounts: { '2024-01-10': 3, '2024-02-10': 2 }
+      },
+      { id: 'h2', text: 'Walk', completions: { '2024-03-10': true } }
+    ],
+    moods: [],
+    reflections: [
+      { id: 'monthly-2024-01-01', period: 'monthly', start: '2024-01-01', note: '' },
+      { id: 'monthly-2024-02-01', period: 'monthly', start: '2024-02-01', note: '' }
+    ]
+  };
+  const filtered = plain(exporter.filterRange(data, { from: '2024-02-01', to: '2024-02-29' }));
+  assert.deepStrictEqual(filtered.journalEntries.map(entry => entry.id), ['inside']);
+  assert.deepStrictEqual(filtered.habits[0].completions, { '2024-02-10': true });
+  assert.deepStrictEqual(filtered.habits[0].amounts, { '2024-02-10': 2 });
+  assert.deepStrictEqual(filtered.habits[1].completions, {});
+  assert.strictEqual('amounts' in filtered.habits[1], false);
+  assert.deepStrictEqual(filtered.reflections.map(reflection => reflection.id), ['monthly-2024-02-01']);
+});
+
+test('filterRange without a range returns the data as is', () => {
+  const data = { journalEntries: [], habits: [], moods: [], reflections: [] };
+  assert.strictEqual(exporter.filterRange(data), data);
+});
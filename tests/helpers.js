@@ -0,0 +1,33 @@
+// Loads index.html and script.js into a fresh jsdom window. There is no IndexedDB, so the app runs on
+// its localStorage fallback. The script's top-level modules (`importer`, `storage`, ...) stay scoped to
+// it; `get('importer')` evaluates the name in that scope.
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const html = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+const script = fs.readFileSync(path.join(root, 'script.js'), 'utf8');
+
+const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+const loadApp = async () => {
+  const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true });
+  const window = dom.window;
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {}, addListener() {} });
+  window.scrollTo = () => {};
+  window.confirm = () => true;
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  window.console.log = () => {};
+  window.console.warn = () => {};
+  window.eval(`${script}\n;window.__get = name => eval(name);`);
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await wait(100);
+  return { window, get: name => window.__get(name) };
+};
+
+// Values built inside the window have its prototypes, which `deepStrictEqual` tells apart from Node's
+const plain = value => JSON.parse(JSON.stringify(value));
+
+module.exports = { loadApp, plain, wait };
@@ -0,0 +1,132 @@
+// Backup validation and merge planning: what an imported file may contain and how it combines with
+// the data already on the device
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers');
+
+let window;
+let importer;
+
+before(async () => {
+  const app = await loadApp();
+  window = app.window;
+  importer = app.get('importer');
+});
+
+after(() => {
+  window.close();
+});
+
+const entry = (overrides = {}) => ({ id: 'e1', mood: 'happy', journal: 'Good day', timestamp: 1700000000000, ...overrides });
+const habit = (overrides = {}) => ({ id: 'h1', text: 'Read', completions: {}, ...overrides });
+
+test('validateEntry keeps known fields and drops the rest', () => {
+  const clean = importer.validateEntry(entry({
+    energy: 7,
+    anxiety: 11,
+    sleepHours: 7.5,
+    tags: ['#Work', 'work', '  Deep Focus '],
+    attachments: ['p1', 'p1', ''],
+    script: '<script>'
+  }));
+  assert.deepStrictEqual(plain(clean), {
+    id: 'e1',
+    mood: 'happy',
+    journal: 'Good day',
+    timestamp: 1700000000000,
+    energy: 7,
+    sleepHours: 7.5,
+    tags: ['work', 'deep-focus'],
+    attachments: ['p1']
+  });
+});
+
+test('validateEntry rejects records without an id, mood or valid timestamp', () => {
+  assert.strictEqual(importer.validateEntry(null), null);
+  assert.strictEqual(importer.validateEntry(entry({ id: '' })), null);
+  assert.strictEqual(importer.validateEntry(entry({ mood: undefined })), null);
+  assert.strictEqual(importer.validateEntry(entry({ timestamp: 'yesterday' })), null);
+  assert.strictEqual(importer.validateEntry(entry({ journal: 42 })), null);
+});
+
+test('validateHabit keeps only dated completions and positive amounts', () => {
+  const clean = importer.validateHabit(habit({
+    kind: 'count',
+    goal: 3,
+    unit: 'pages',
+    completions: { '2024-01-01': true, yesterday: true, '2024-01-02': false },
+    amounts: { '2024-01-01': 4, '2024-01-02': -1, '2024-01-03': 'many' }
+  }));
+  assert.deepStrictEqual(plain(clean.completions), { '2024-01-01': true });
+  assert.deepStrictEqual(plain(clean.amounts), { '2024-01-01': 4 });
+  assert.strictEqual(clean.kind, 'count');
+  assert.strictEqual(clean.unit, 'pages');
+});
+
+test('validateHabit only keeps goals the habit editor accepts', () => {
+  const kindFor = goal => importer.validateHabit(habit({ kind: 'count', goal })).kind;
+  assert.strictEqual(kindFor(1), 'count');
+  assert.strictEqual(kindFor(100000), 'count');
+  assert.strictEqual(kindFor(0.5), undefined);
+  assert.strictEqual(kindFor(100001), undefined);
+  assert.strictEqual(kindFor('5'), undefined);
+});
+
+test('validateMood requires a numeric score and defaults the colour', () => {
+  assert.strictEqual(importer.validateMood({ id: 'm', label: 'Calm', emoji: '😌', score: '5' }), null);
+  const clean = importer.validateMood({ id: 'm', label: 'Calm', emoji: '😌', score: 5, color: 'red' });
+  assert.strictEqual(clean.color, '#9e9e9e');
+  assert.strictEqual(clean.order, 0);
+});
+
+test('validateReflection only accepts weekly and monthly notes', () => {
+  const reflection = { id: 'weekly-2024-01-01', period: 'weekly', start: '2024-01-01', note: 'Calm week' };
+  assert.ok(importer.validateReflection(reflection));
+  assert.strictEqual(importer.validateReflection({ ...reflection, period: 'daily' }), null);
+  assert.strictEqual(importer.validateReflection({ ...reflection, start: '1/1/2024' }), null);
+});
+
+test('validate counts invalid records and keeps the newest copy of duplicates', () => {
+  const { data, invalid } = importer.validate({
+    journalEntries: [
+      entry({ journal: 'old', updatedAt: 1700000000001 }),
+      entry({ journal: 'new', updatedAt: 1700000000002 }),
+      { id: 'broken' }
+    ],
+    habits: 'not a list'
+  });
+  assert.deepStrictEqual(plain(data.journalEntries.map(item => item.journal)), ['new']);
+  assert.deepStrictEqual(plain(invalid), { journalEntries: 1, habits: 0, moods: 0, reflections: 0 });
+  assert.strictEqual(data.habits.length, 0);
+});
+
+test('plan merges by id and keeps whichever copy changed last', () => {
+  const current = {
+    journalEntries: [
+      entry({ id: 'same' }),
+      entry({ id: 'local-newer', journal: 'mine', updatedAt: 1700000000900 }),
+      entry({ id: 'remote-newer', journal: 'mine', updatedAt: 1700000000100 })
+    ],
+    habits: [],
+    moods: [],
+    reflections: []
+  };
+  const incoming = {
+    journalEntries: [
+      entry({ id: 'same' }),
+      entry({ id: 'local-newer', journal: 'theirs', updatedAt: 1700000000500 }),
+      entry({ id: 'remote-newer', journal: 'theirs', updatedAt: 1700000000500 }),
+      entry({ id: 'added' })
+    ],
+    habits: [habit()],
+    moods: [],
+    reflections: []
+  };
+  const { merged, summary } = importer.plan(current, incoming);
+  assert.deepStrictEqual(plain(summary.journalEntries), { added: 1, updated: 1, keptLocal: 1, unchanged: 1 });
+  assert.deepStrictEqual(plain(summary.habits), { added: 1, updated: 0, keptLocal: 0, unchanged: 0 });
+  const journal = id => merged.journalEntries.find(item => item.id === id).journal;
+  assert.strictEqual(journal('local-newer'), 'mine');
+  assert.strictEqual(journal('remote-newer'), 'theirs');
+  assert.strictEqual(merged.journalEntries.length, 4);
+});
@@ -0,0 +1,71 @@
+// Schema migrations: data saved by any older version comes out in the current shape
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers');
+
+let window;
+let get;
+
+before(async () => {
+  const app = await loadApp();
+  window = app.window;
+  get = app.get;
+});
+
+after(() => {
+  window.close();
+});
+
+test('migrates v1 data all the way to the current version', () => {
+  const storage = get('storage');
+  const today = get('utils').toDateKey();
+  const v1 = {
+    journalEntries: [
+      {
+        id: 'e1',
+        mood: 'happy',
+        journal: 'Tried &lt;b&gt; tags',
+        timestamp: 1700000000000,
+        history: [{ mood: 'okay', journal: 'a &lt; b', replacedAt: 1700000000000 }]
+      }
+    ],
+    habits: [{ id: 'h1', text: 'Read &gt; scroll', completed: true }]
+  };
+  const migrated = plain(storage.migrate(v1, 1));
+
+  // v1 -> v2: the single completed flag became a completion for today, plus a default schedule
+  const [habit] = migrated.habits;
+  assert.deepStrictEqual(habit.completions, { [today]: true });
+  assert.strictEqual('completed' in habit, false);
+  assert.deepStrictEqual(habit.schedule, { type: 'daily' });
+  // v2 -> v3: the default mood scale became stored records
+  assert.deepStrictEqual(migrated.moods.map(mood => mood.id), plain(get('DEFAULT_MOODS')).map(mood => mood.id));
+  // v3 -> v4: HTML-escaped text is plain text again, history included
+  assert.strictEqual(migrated.journalEntries[0].journal, 'Tried <b> tags');
+  assert.strictEqual(migrated.journalEntries[0].history[0].journal, 'a < b');
+  assert.strictEqual(habit.text, 'Read > scroll');
+  // v4 -> v5: reflections exist
+  assert.deepStrictEqual(migrated.reflections, []);
+});
+
+test('leaves current data untouched', () => {
+  const storage = get('storage');
+  const data = {
+    journalEntries: [{ id: 'e1', mood: 'happy', journal: 'a &lt; b is literal now', timestamp: 1700000000000 }],
+    habits: [],
+    moods: [],
+    reflections: [{ id: 'weekly-2024-01-01', period: 'weekly', start: '2024-01-01', note: 'n' }]
+  };
+  assert.deepStrictEqual(plain(storage.migrate(data, get('STORAGE_VERSION'))), data);
+});
+
+test('keeps reflections that data migrated from v3 already has', () => {
+  const reflections = [{ id: 'monthly-2024-01-01', period: 'monthly', start: '2024-01-01', note: 'n' }];
+  const migrated = get('storage').migrate({ journalEntries: [], habits: [], moods: [], reflections }, 3);
+  assert.deepStrictEqual(plain(migrated.reflections), reflections);
+});
+
+test('fills in missing lists', () => {
+  const migrated = plain(get('storage').migrate({}, get('STORAGE_VERSION')));
+  assert.deepStrictEqual(migrated, { journalEntries: [], habits: [], moods: [], reflections: [] });
+});
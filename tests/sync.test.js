@@ -0,0 +1,83 @@
+// Applying changes pulled from a sync server
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers');
+
+let window;
+let get;
+
+before(async () => {
+  const app = await loadApp();
+  window = app.window;
+  get = app.get;
+});
+
+after(() => {
+  window.close();
+});
+
+const entry = (id, journal, updatedAt) => ({ id, mood: 'happy', journal, timestamp: 1700000000000, updatedAt });
+const change = (record, updatedAt, overrides = {}) => ({
+  store: 'journalEntries',
+  id: record.id,
+  updatedAt,
+  deleted: false,
+  record,
+  ...overrides
+});
+
+const journals = () => plain(get('state').journalEntries.map(item => `${item.id}:${item.journal}`));
+
+beforeEach(async () => {
+  const data = { journalEntries: [entry('e1', 'local', 1700000000100)], habits: [], moods: [], reflections: [] };
+  await get('storage').replaceAll(data);
+  await get('storage').setMeta('syncQueue', {});
+  get('state').journalEntries = data.journalEntries;
+});
+
+test('applyRemote writes new and changed records to storage and state', async () => {
+  const sync = get('sync');
+  const applied = await sync.applyRemote([
+    change(entry('e1', 'remote', 1700000000200), 1700000000200),
+    change(entry('e2', 'added', 1700000000200), 1700000000200)
+  ]);
+  assert.strictEqual(applied, 2);
+  assert.deepStrictEqual(journals(), ['e1:remote', 'e2:added']);
+  const stored = await get('storage').loadAll();
+  assert.deepStrictEqual(plain(stored.journalEntries.map(item => item.journal)).sort(), ['added', 'remote']);
+});
+
+test('applyRemote applies deletions', async () => {
+  const applied = await get('sync').applyRemote([change({ id: 'e1' }, 1700000000200, { deleted: true, record: null })]);
+  assert.strictEqual(applied, 1);
+  assert.deepStrictEqual(journals(), []);
+});
+
+test('applyRemote skips changes older than a queued local change', async () => {
+  const sync = get('sync');
+  await sync.saveQueue({ 'journalEntries:e1': { store: 'journalEntries', id: 'e1', updatedAt: 1700000000300 } });
+  const applied = await sync.applyRemote([change(entry('e1', 'remote', 1700000000200), 1700000000200)]);
+  assert.strictEqual(applied, 0);
+  assert.deepStrictEqual(journals(), ['e1:local']);
+  assert.strictEqual(Object.keys(await sync.getQueue()).length, 1);
+});
+
+test('applyRemote settles queued changes the server overruled', async () => {
+  const sync = get('sync');
+  await sync.saveQueue({ 'journalEntries:e1': { store: 'journalEntries', id: 'e1', updatedAt: 1700000000150 } });
+  await sync.applyRemote([change(entry('e1', 'remote', 1700000000200), 1700000000200)]);
+  assert.deepStrictEqual(journals(), ['e1:remote']);
+  assert.deepStrictEqual(plain(await sync.getQueue()), {});
+});
+
+test('applyRemote ignores invalid changes', async () => {
+  const applied = await get('sync').applyRemote([
+    null,
+    change(entry('e2', 'x', 1), 1700000000200, { store: 'settings' }),
+    change(entry('e2', 'x', 1), 'yesterday'),
+    change({ id: 'e2', mood: 'happy' }, 1700000000200),
+    change(entry('other', 'x', 1), 1700000000200, { id: 'e2' })
+  ]);
+  assert.strictEqual(applied, 0);
+  assert.deepStrictEqual(journals(), ['e1:local']);
+});
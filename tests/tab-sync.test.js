@@ -0,0 +1,38 @@
+// Merging what another tab wrote into this tab's state
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadApp, plain } = require('./helpers');
+
+let window;
+let tabSync;
+
+before(async () => {
+  const app = await loadApp();
+  window = app.window;
+  tabSync = app.get('tabSync');
+});
+
+after(() => {
+  window.close();
+});
+
+const habit = (id, updatedAt, text = id) => ({ id, text, updatedAt });
+
+test('mergeList takes stored copies that are newer', () => {
+  const { merged, resave } = tabSync.mergeList([habit('a', 1, 'old')], [habit('a', 2, 'new')]);
+  assert.deepStrictEqual(plain(merged), [habit('a', 2, 'new')]);
+  assert.strictEqual(resave.length, 0);
+});
+
+test('mergeList keeps and re-saves local copies that are newer', () => {
+  const { merged, resave } = tabSync.mergeList([habit('a', 3, 'mine')], [habit('a', 2, 'theirs')]);
+  assert.deepStrictEqual(plain(merged), [habit('a', 3, 'mine')]);
+  assert.deepStrictEqual(plain(resave), [habit('a', 3, 'mine')]);
+});
+
+test('mergeList drops records deleted elsewhere and adds new ones last', () => {
+  const local = [habit('a', 1), habit('b', 1), habit('c', 1)];
+  const stored = [habit('new', 1), habit('c', 1), habit('a', 1)];
+  const { merged } = tabSync.mergeList(local, stored);
+  assert.deepStrictEqual(plain(merged.map(record => record.id)), ['a', 'c', 'new']);
+});
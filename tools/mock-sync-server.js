@@ -0,0 +1,105 @@
+// Mock sync server
+// A minimal in-memory server for the REST sync adapter, for trying sync between browsers or devices
+// locally. Data is lost when it stops. See docs/sync-protocol.md for the protocol.
+//
+//   node tools/mock-sync-server.js
+//   PORT=9000 SYNC_TOKEN=secret node tools/mock-sync-server.js
+//
+// Then open Sync in the app and use http://localhost:8787 (and the token, if one is set).
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || '';
+const MAX_BODY_SIZE = 10 * 1024 * 1024;
+
+// Latest change per `store:id`, each stamped with the sequence number it was stored at
+const changes = new Map();
+let sequence = 0;
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = req => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+    if (body.length > MAX_BODY_SIZE) reject(new Error('Request body too large'));
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const isChange = change => Boolean(change) &&
+  typeof change.store === 'string' &&
+  typeof change.id === 'string' &&
+  Number.isFinite(change.updatedAt);
+
+// The later change wins; a tie keeps what the server already has
+const store = change => {
+  const key = `${change.store}:${change.id}`;
+  const current = changes.get(key);
+  if (current && current.change.updatedAt >= change.updatedAt) return false;
+  sequence++;
+  changes.set(key, {
+    sequence,
+    change: {
+      store: change.store,
+      id: change.id,
+      updatedAt: change.updatedAt,
+      deleted: Boolean(change.deleted),
+      record: change.deleted ? null : change.record
+    }
+  });
+  return true;
+};
+
+const handleGet = (res, url) => {
+  const since = url.searchParams.has('since') ? Number(url.searchParams.get('since')) : 0;
+  if (!Number.isInteger(since) || since < 0) return send(res, 400, { error: 'Invalid cursor' });
+  const list = [...changes.values()]
+    .filter(item => item.sequence > since)
+    .sort((a, b) => a.sequence - b.sequence)
+    .map(item => item.change);
+  send(res, 200, { changes: list, cursor: String(sequence) });
+};
+
+const handlePost = async (req, res) => {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (error) {
+    return send(res, 400, { error: 'Invalid JSON' });
+  }
+  if (!body || !Array.isArray(body.changes) || !body.changes.every(isChange)) {
+    return send(res, 400, { error: 'Expected { changes: [...] }' });
+  }
+  const stored = body.changes.filter(store).length;
+  console.log(`Stored ${stored} of ${body.changes.length} changes (cursor ${sequence})`);
+  send(res, 204);
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (url.pathname.replace(/\/+$/, '') !== '/changes') return send(res, 404, { error: 'Not found' });
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) return send(res, 401, { error: 'Invalid token' });
+  try {
+    if (req.method === 'GET') return handleGet(res, url);
+    if (req.method === 'POST') return await handlePost(req, res);
+    send(res, 405, { error: 'Method not allowed' });
+  } catch (error) {
+    console.error('Request error:', error);
+    send(res, 500, { error: 'Server error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock sync server listening on http://localhost:${PORT}${TOKEN ? ' (token required)' : ''}`);
+});